@@ -0,0 +1,149 @@
+/**
+ * Color helpers shared by the element and the point builder: hex/RGB
+ * conversion, continuous colormaps and categorical palettes. Pure functions,
+ * so they also run inside the decode worker.
+ */
+
+/**
+ * HSV (0..1) -> RGB (0..1). Used for deterministic cluster palettes.
+ */
+function hsvToRgb01(hue01, saturation01, value01) {
+  const sectorIndex = Math.floor(hue01 * 6);
+  const sectorFraction = hue01 * 6 - sectorIndex;
+
+  const p = value01 * (1 - saturation01);
+  const q = value01 * (1 - sectorFraction * saturation01);
+  const t = value01 * (1 - (1 - sectorFraction) * saturation01);
+
+  switch (sectorIndex % 6) {
+    case 0:
+      return [value01, t, p];
+    case 1:
+      return [q, value01, p];
+    case 2:
+      return [p, value01, t];
+    case 3:
+      return [p, q, value01];
+    case 4:
+      return [t, p, value01];
+    case 5:
+      return [value01, p, q];
+    default:
+      return [value01, t, p];
+  }
+}
+
+function rgb01ToHex(rgb01) {
+  const [red01, green01, blue01] = rgb01;
+
+  const toByte = (channel01) =>
+    Math.max(0, Math.min(255, Math.round(channel01 * 255)));
+
+  const red = toByte(red01).toString(16).padStart(2, "0");
+  const green = toByte(green01).toString(16).padStart(2, "0");
+  const blue = toByte(blue01).toString(16).padStart(2, "0");
+
+  return `#${red}${green}${blue}`;
+}
+
+export function hexToRgb01(hex) {
+  const normalized = String(hex || "").trim().replace(/^#/, "");
+  const full =
+    normalized.length === 3
+      ? normalized
+        .split("")
+        .map((c) => c + c)
+        .join("")
+      : normalized;
+
+  const parsed = Number.parseInt(full.slice(0, 6), 16);
+  if (!Number.isFinite(parsed) || full.length < 6) return [0.5, 0.5, 0.5];
+
+  return [((parsed >> 16) & 255) / 255, ((parsed >> 8) & 255) / 255, (parsed & 255) / 255];
+}
+
+/**
+ * Colormap control points (evenly spaced). Sequential maps follow matplotlib,
+ * diverging maps follow ColorBrewer.
+ */
+const COLORMAPS = {
+  viridis: ["#440154", "#482878", "#3e4989", "#31688e", "#26828e", "#1f9e89", "#35b779", "#6ece58", "#b5de2b", "#fde725"],
+  magma: ["#000004", "#180f3d", "#440f76", "#721f81", "#9e2f7f", "#cd4071", "#f1605d", "#fd9668", "#feca8d", "#fcfdbf"],
+  inferno: ["#000004", "#1b0c41", "#4a0c6b", "#781c6d", "#a52c60", "#cf4446", "#ed6925", "#fb9b06", "#f7d13d", "#fcffa4"],
+  plasma: ["#0d0887", "#47039f", "#7301a8", "#9c179e", "#bd3786", "#d8576b", "#ed7953", "#fb9f3a", "#fdca26", "#f0f921"],
+  cividis: ["#00224e", "#123570", "#3b496c", "#575d6d", "#707173", "#8a8678", "#a59c74", "#c3b369", "#e1cc55", "#fee838"],
+  rdbu: ["#b2182b", "#d6604d", "#f4a582", "#fddbc7", "#f7f7f7", "#d1e5f0", "#92c5de", "#4393c3", "#2166ac"],
+  rdylbu: ["#d73027", "#f46d43", "#fdae61", "#fee090", "#ffffbf", "#e0f3f8", "#abd9e9", "#74add1", "#4575b4"],
+  spectral: ["#d53e4f", "#f46d43", "#fdae61", "#fee08b", "#ffffbf", "#e6f598", "#abdda4", "#66c2a5", "#3288bd"],
+};
+
+const COLORMAP_ALIASES = {
+  diverging: "rdbu",
+  coolwarm: "rdbu",
+};
+
+export const CONTINUOUS_COLOR_STEPS = 256;
+export const MISSING_VALUE_COLOR = "#555555";
+// Noise points (see `noise-cluster-id`) are drawn in a muted gray.
+export const NOISE_COLOR = "#7a7a7a";
+
+export function resolveColormapName(name) {
+  const key = String(name || "").trim().toLowerCase();
+  const resolved = COLORMAP_ALIASES[key] || key;
+  return Object.prototype.hasOwnProperty.call(COLORMAPS, resolved) ? resolved : "viridis";
+}
+
+/**
+ * Sample a named colormap at t (0..1) with linear interpolation between stops.
+ */
+export function sampleColormap(name, t) {
+  const stops = COLORMAPS[resolveColormapName(name)];
+  const clamped = Math.min(1, Math.max(0, Number.isFinite(t) ? t : 0));
+  const position = clamped * (stops.length - 1);
+  const lowerIndex = Math.floor(position);
+  const upperIndex = Math.min(stops.length - 1, lowerIndex + 1);
+  const fraction = position - lowerIndex;
+
+  const lower = hexToRgb01(stops[lowerIndex]);
+  const upper = hexToRgb01(stops[upperIndex]);
+
+  return rgb01ToHex(lower.map((channel, i) => channel + (upper[i] - channel) * fraction));
+}
+
+// FNV-1a plus a murmur3 finalizer (so similar ids still land on distant hues),
+// for colors that depend only on the category value.
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+/**
+ * One color per category label. By default colors follow label order:
+ * evenly spaced hues, or the `palette` colors in turn (repeating when there
+ * are more labels). In "hash" mode each label's color depends only on the
+ * label itself, so a cluster id keeps its color across datasets. `overrides`
+ * (label -> hex) win over both.
+ */
+export function buildCategoricalPalette(labels, { palette = null, mode = "order", overrides = null } = {}) {
+  if (labels.length === 0) return buildCategoricalPalette(["0"], { palette, mode });
+
+  return labels.map((label, index) => {
+    const override = overrides?.get(String(label));
+    if (override) return override;
+
+    const hash = mode === "hash" ? hashString(String(label)) : null;
+    if (palette) return palette[(hash ?? index) % palette.length];
+
+    const hue01 = hash !== null ? hash / 2 ** 32 : labels.length <= 1 ? 0 : index / labels.length;
+    return rgb01ToHex(hsvToRgb01(hue01, 0.55, 0.95));
+  });
+}
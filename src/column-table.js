@@ -0,0 +1,335 @@
+import { NULL_CODE, columnValueAt } from "./columnar.js";
+
+/**
+ * Column-oriented row store. Columns use the encodings from columnar.js
+ * (number / dictionary / values) but grow as row groups stream in. Row
+ * objects are only built on demand, for tooltips and events.
+ *
+ * Derived views used on every redraw (numeric arrays, category codes) are
+ * cached per column until that column changes.
+ */
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+/**
+ * Column named `name`: an exact match, else the first case-insensitive one,
+ * else null. Every lookup of a user-supplied column name goes through this.
+ */
+export function resolveColumnName(columnNames, name) {
+  if (name === undefined || name === null || name === "") return null;
+  if (columnNames.includes(name)) return name;
+
+  const lower = String(name).toLowerCase();
+  return columnNames.find((columnName) => columnName.toLowerCase() === lower) ?? null;
+}
+
+function growTypedArray(array, minLength) {
+  if (array.length >= minLength) return array;
+
+  const grown = new array.constructor(Math.max(minLength, array.length * 2, 1024));
+  grown.set(array);
+  return grown;
+}
+
+export class ColumnTable {
+  #stores;
+  #columnOrder;
+  // Sparse per-row values for columns read lazily by row range.
+  #extras;
+  #derived;
+
+  constructor(columnOrder = []) {
+    this.rowCount = 0;
+    this.#stores = new Map();
+    this.#columnOrder = [...columnOrder];
+    this.#extras = new Map();
+    this.#derived = new Map();
+  }
+
+  /**
+   * Every column name in source order, including ones not loaded yet.
+   */
+  get columnNames() {
+    return this.#columnOrder;
+  }
+
+  /**
+   * Columns with values for every row.
+   */
+  get loadedColumnNames() {
+    return this.#columnOrder.filter((name) => this.#stores.has(name));
+  }
+
+  has(name) {
+    return this.#stores.has(name);
+  }
+
+  /**
+   * Actual name of the column `name` refers to (see resolveColumnName),
+   * loaded or not, or null.
+   */
+  resolve(name) {
+    return resolveColumnName(this.#columnOrder, name);
+  }
+
+  /**
+   * Actual name of the loaded column `name` refers to, or null.
+   */
+  resolveLoaded(name) {
+    const resolved = this.resolve(name);
+    return resolved && this.has(resolved) ? resolved : null;
+  }
+
+  /**
+   * True when the column holds strings only (the default search columns).
+   */
+  isTextColumn(name) {
+    const store = this.#stores.get(name);
+    if (!store) return false;
+    if (store.kind === "dictionary") return true;
+    if (store.kind !== "values") return false;
+
+    const firstPresent = store.values.find((value) => value !== null && value !== undefined);
+    return typeof firstPresent === "string";
+  }
+
+  /**
+   * Append a columnar range (see columnar.js) after the current rows.
+   */
+  appendRange(range) {
+    const start = this.rowCount;
+    const end = start + range.rowCount;
+
+    for (const name of Object.keys(range.columns)) {
+      if (!this.#columnOrder.includes(name)) this.#columnOrder.push(name);
+    }
+
+    for (const [name, column] of Object.entries(range.columns)) {
+      let store = this.#stores.get(name);
+      if (!store) {
+        store = this.#emptyStore(column.kind, start);
+        this.#stores.set(name, store);
+      } else if (store.kind !== column.kind) {
+        store = this.#toValuesStore(store);
+        this.#stores.set(name, store);
+      }
+      this.#appendToStore(store, column, start, range.rowCount);
+    }
+
+    // Columns this range didn't carry stay aligned with nulls.
+    for (const [name, store] of this.#stores) {
+      if (!range.columns[name]) this.#appendToStore(store, null, start, range.rowCount);
+    }
+
+    this.rowCount = end;
+    this.#derived.clear();
+  }
+
+  /**
+   * Add or replace a whole column, e.g. one read lazily after the first paint.
+   */
+  setColumn(name, column) {
+    if (!this.#columnOrder.includes(name)) this.#columnOrder.push(name);
+
+    const store = this.#emptyStore(column.kind, 0);
+    this.#appendToStore(store, column, 0, Math.min(this.rowCount, this.#lengthOf(column)));
+    if (this.#lengthOf(column) < this.rowCount) {
+      this.#appendToStore(store, null, this.#lengthOf(column), this.rowCount - this.#lengthOf(column));
+    }
+
+    this.#stores.set(name, store);
+    for (const key of this.#derived.keys()) {
+      if (key.startsWith(`${name}\u0000`)) this.#derived.delete(key);
+    }
+  }
+
+  /**
+   * Attach values for not-yet-loaded columns to a single row.
+   */
+  setRowExtras(rowIndex, values) {
+    this.#extras.set(rowIndex, { ...this.#extras.get(rowIndex), ...values });
+  }
+
+  get(name, rowIndex) {
+    const store = this.#stores.get(name);
+    if (store) return rowIndex < this.rowCount ? this.#storeValueAt(store, rowIndex) : undefined;
+    return this.#extras.get(rowIndex)?.[name];
+  }
+
+  /**
+   * Plain object for one row, keys in source order. Built fresh on each call.
+   */
+  row(rowIndex) {
+    if (!(rowIndex >= 0 && rowIndex < this.rowCount)) return null;
+
+    const extras = this.#extras.get(rowIndex);
+    const row = {};
+    for (const name of this.#columnOrder) {
+      const store = this.#stores.get(name);
+      if (store) row[name] = this.#storeValueAt(store, rowIndex);
+      else if (extras && Object.prototype.hasOwnProperty.call(extras, name)) row[name] = extras[name];
+    }
+    return row;
+  }
+
+  /**
+   * Float64Array of `toNumber(value)` per row (NaN where unusable). Number
+   * columns are copied without boxing, so the result never aliases storage
+   * that later appends or setColumn may change. Cached per column, so callers
+   * should use one converter per column.
+   */
+  numbers(name, toNumber) {
+    const store = this.#stores.get(name);
+    if (!store) return null;
+
+    return this.#cached(`${name}\u0000numbers`, () => {
+      if (store.kind === "number") {
+        const result = store.values.slice(0, this.rowCount);
+        if (store.nulls) {
+          for (let rowIndex = 0; rowIndex < this.rowCount; rowIndex++) {
+            if (store.nulls[rowIndex]) result[rowIndex] = Number.NaN;
+          }
+        }
+        return result;
+      }
+
+      const result = new Float64Array(this.rowCount);
+      for (let rowIndex = 0; rowIndex < this.rowCount; rowIndex++) {
+        result[rowIndex] = toNumber(this.#storeValueAt(store, rowIndex));
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Category codes for a column: `{ codes: Uint32Array, labels: string[] }`.
+   * Labels are String(value) in first-seen order; blank values get NULL_CODE.
+   */
+  categories(name) {
+    const store = this.#stores.get(name);
+    if (!store) return null;
+
+    return this.#cached(`${name}\u0000categories`, () => {
+      const codes = new Uint32Array(this.rowCount);
+      const labels = [];
+      const codeByLabel = new Map();
+
+      for (let rowIndex = 0; rowIndex < this.rowCount; rowIndex++) {
+        const value = this.#storeValueAt(store, rowIndex);
+        if (isBlank(value)) {
+          codes[rowIndex] = NULL_CODE;
+          continue;
+        }
+
+        const label = String(value);
+        let code = codeByLabel.get(label);
+        if (code === undefined) {
+          code = labels.length;
+          labels.push(label);
+          codeByLabel.set(label, code);
+        }
+        codes[rowIndex] = code;
+      }
+
+      return { codes, labels };
+    });
+  }
+
+  #cached(key, compute) {
+    let value = this.#derived.get(key);
+    if (value === undefined) {
+      value = compute();
+      this.#derived.set(key, value);
+    }
+    return value;
+  }
+
+  #lengthOf(column) {
+    return column.kind === "dictionary" ? column.codes.length : column.values.length;
+  }
+
+  #emptyStore(kind, leadingNulls) {
+    let store;
+    if (kind === "number") {
+      store = { kind, values: new Float64Array(0), nulls: null };
+    } else if (kind === "dictionary") {
+      store = { kind, codes: new Uint32Array(0), dictionary: [], codeByValue: new Map() };
+    } else {
+      store = { kind: "values", values: [] };
+    }
+    if (leadingNulls > 0) this.#appendToStore(store, null, 0, leadingNulls);
+    return store;
+  }
+
+  /**
+   * Write `count` values from `column` (or nulls when it's null) at `start`.
+   */
+  #appendToStore(store, column, start, count) {
+    const end = start + count;
+
+    if (store.kind === "number") {
+      store.values = growTypedArray(store.values, end);
+      if (!column) {
+        store.nulls = growTypedArray(store.nulls || new Uint8Array(store.values.length), end);
+        store.values.fill(Number.NaN, start, end);
+        store.nulls.fill(1, start, end);
+        return;
+      }
+      store.values.set(column.values.subarray(0, count), start);
+      if (column.nulls || store.nulls) {
+        store.nulls = growTypedArray(store.nulls || new Uint8Array(store.values.length), end);
+        if (column.nulls) store.nulls.set(column.nulls.subarray(0, count), start);
+        else store.nulls.fill(0, start, end);
+      }
+      return;
+    }
+
+    if (store.kind === "dictionary") {
+      store.codes = growTypedArray(store.codes, end);
+      if (!column) {
+        store.codes.fill(NULL_CODE, start, end);
+        return;
+      }
+      // Remap the range's local dictionary onto the store's.
+      const remap = column.dictionary.map((value) => {
+        let code = store.codeByValue.get(value);
+        if (code === undefined) {
+          code = store.dictionary.length;
+          store.dictionary.push(value);
+          store.codeByValue.set(value, code);
+        }
+        return code;
+      });
+      for (let offset = 0; offset < count; offset++) {
+        const code = column.codes[offset];
+        store.codes[start + offset] = code === NULL_CODE ? NULL_CODE : remap[code];
+      }
+      return;
+    }
+
+    for (let offset = 0; offset < count; offset++) {
+      store.values[start + offset] = column ? columnValueAt(column, offset) : null;
+    }
+  }
+
+  #toValuesStore(store) {
+    const values = new Array(this.rowCount);
+    for (let rowIndex = 0; rowIndex < this.rowCount; rowIndex++) {
+      values[rowIndex] = this.#storeValueAt(store, rowIndex);
+    }
+    return { kind: "values", values };
+  }
+
+  #storeValueAt(store, rowIndex) {
+    if (store.kind === "number") {
+      return store.nulls?.[rowIndex] ? null : store.values[rowIndex];
+    }
+    if (store.kind === "dictionary") {
+      const code = store.codes[rowIndex];
+      return code === NULL_CODE ? null : store.dictionary[code];
+    }
+    return store.values[rowIndex];
+  }
+}
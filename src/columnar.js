@@ -0,0 +1,177 @@
+/**
+ * Column-oriented ranges shared by the decode worker, the main-thread
+ * fallback and ColumnTable. Nothing here touches the DOM or pulls in a
+ * decoder, so the element can import it without the Parquet and Arrow code.
+ *
+ * Row ranges come back column-oriented so they can cross the worker boundary
+ * as transferable typed arrays instead of structured-cloned row objects:
+ *
+ *   { kind: "number", values: Float64Array, nulls: Uint8Array | null }
+ *   { kind: "dictionary", codes: Uint32Array, dictionary: string[] }
+ *   { kind: "values", values: any[] }   // bigint, Date, nested, mixed
+ */
+
+export const NULL_CODE = 0xffffffff;
+
+/**
+ * Encode one column's values, picking the most compact encoding that fits.
+ */
+export function encodeColumn(values) {
+  let numbers = true;
+  let strings = true;
+  let hasNull = false;
+
+  for (const value of values) {
+    if (value === null || value === undefined) {
+      hasNull = true;
+      continue;
+    }
+    if (typeof value !== "number") numbers = false;
+    if (typeof value !== "string") strings = false;
+    if (!numbers && !strings) break;
+  }
+
+  if (numbers) {
+    const encoded = new Float64Array(values.length);
+    const nulls = hasNull ? new Uint8Array(values.length) : null;
+    for (let index = 0; index < values.length; index++) {
+      const value = values[index];
+      if (value === null || value === undefined) {
+        encoded[index] = Number.NaN;
+        nulls[index] = 1;
+      } else {
+        encoded[index] = value;
+      }
+    }
+    return { kind: "number", values: encoded, nulls };
+  }
+
+  if (strings) {
+    const codes = new Uint32Array(values.length);
+    const dictionary = [];
+    const codeByValue = new Map();
+    for (let index = 0; index < values.length; index++) {
+      const value = values[index];
+      if (value === null || value === undefined) {
+        codes[index] = NULL_CODE;
+        continue;
+      }
+      let code = codeByValue.get(value);
+      if (code === undefined) {
+        code = dictionary.length;
+        dictionary.push(value);
+        codeByValue.set(value, code);
+      }
+      codes[index] = code;
+    }
+    return { kind: "dictionary", codes, dictionary };
+  }
+
+  return { kind: "values", values };
+}
+
+/**
+ * Columnar range from an array of row objects, or from a column-oriented
+ * object of equal-length arrays. Row columns are in first-seen key order.
+ * An object whose only property is an array of row objects, as in
+ * `{ "data": [...] }`, is unwrapped to those rows.
+ */
+export function columnarFromRecords(records) {
+  const wrappedRows = wrappedRecords(records);
+  if (wrappedRows) return columnarFromRecords(wrappedRows);
+
+  if (Array.isArray(records)) {
+    const columnNames = [];
+    const seen = new Set();
+    for (const row of records) {
+      if (!row || typeof row !== "object" || Array.isArray(row)) {
+        throw new Error("Expected every row to be an object");
+      }
+      for (const key of Object.keys(row)) {
+        if (!seen.has(key)) {
+          seen.add(key);
+          columnNames.push(key);
+        }
+      }
+    }
+
+    const columns = {};
+    for (const name of columnNames) {
+      columns[name] = encodeColumn(records.map((row) => row[name] ?? null));
+    }
+    return { columnNames, rowCount: records.length, columns };
+  }
+
+  if (records && typeof records === "object") {
+    const columnNames = Object.keys(records);
+    const lengths = new Set(columnNames.map((name) => records[name]?.length));
+    if (columnNames.some((name) => !isArrayLike(records[name])) || lengths.size > 1) {
+      throw new Error("Expected an array of rows or an object of equal-length column arrays");
+    }
+
+    const columns = {};
+    for (const name of columnNames) columns[name] = encodeColumn(Array.from(records[name], (value) => value ?? null));
+    return { columnNames, rowCount: columnNames.length > 0 ? records[columnNames[0]].length : 0, columns };
+  }
+
+  throw new Error("Expected an array of rows or an object of column arrays");
+}
+
+function wrappedRecords(records) {
+  if (!records || typeof records !== "object" || Array.isArray(records)) return null;
+
+  const keys = Object.keys(records);
+  const rows = keys.length === 1 ? records[keys[0]] : null;
+  const isRows =
+    Array.isArray(rows) &&
+    rows.length > 0 &&
+    rows.every((row) => row && Object.getPrototypeOf(row) === Object.prototype);
+  return isRows ? rows : null;
+}
+
+function isArrayLike(value) {
+  return Array.isArray(value) || ArrayBuffer.isView(value);
+}
+
+/**
+ * Typed-array buffers in a columnar range, for a postMessage transfer list.
+ */
+export function columnarTransferables(range) {
+  const buffers = [];
+  for (const column of Object.values(range.columns)) {
+    if (column.kind === "number") {
+      buffers.push(column.values.buffer);
+      if (column.nulls) buffers.push(column.nulls.buffer);
+    } else if (column.kind === "dictionary") {
+      buffers.push(column.codes.buffer);
+    }
+  }
+  return buffers;
+}
+
+export function columnValueAt(column, index) {
+  switch (column.kind) {
+    case "number":
+      return column.nulls?.[index] ? null : column.values[index];
+    case "dictionary": {
+      const code = column.codes[index];
+      return code === NULL_CODE ? null : column.dictionary[code];
+    }
+    default:
+      return column.values[index];
+  }
+}
+
+/**
+ * Row objects for a columnar range, keys in `columnOrder`.
+ */
+export function rowsFromColumnarRange(range, columnOrder) {
+  const names = columnOrder.filter((name) => range.columns[name]);
+  const rows = new Array(range.rowCount);
+  for (let index = 0; index < range.rowCount; index++) {
+    const row = {};
+    for (const name of names) row[name] = columnValueAt(range.columns[name], index);
+    rows[index] = row;
+  }
+  return rows;
+}
@@ -0,0 +1,221 @@
+import { DataType, tableFromIPC } from "apache-arrow";
+import { parquetMetadata, parquetSchema } from "hyparquet";
+import { columnarFromRecords, encodeColumn } from "./columnar.js";
+import { readColumnarRange } from "./parquet-source.js";
+
+/**
+ * Whole-file parsers for `data-url`: CSV, JSON, NDJSON, Arrow IPC and
+ * Parquet. Each produces a columnar range (see columnar.js), plus the
+ * column names in source order:
+ *
+ *   { columnNames: string[], rowCount, columns: { [name]: encoded column } }
+ *
+ * Runs in the decode worker or, as a fallback, on the main thread.
+ */
+
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const LEADING_ZERO_PATTERN = /^[+-]?0\d/;
+
+/**
+ * Parse a whole file in `format` (one of DATA_FORMATS in format-detection.js).
+ */
+export async function parseDataBuffer(buffer, format) {
+  switch (format) {
+    case "csv":
+      return parseCsv(decodeText(buffer));
+    case "json":
+      return columnarFromRecords(JSON.parse(decodeText(buffer)));
+    case "ndjson":
+      return columnarFromRecords(parseNdjson(decodeText(buffer)));
+    case "arrow":
+      return parseArrow(new Uint8Array(buffer));
+    case "parquet":
+      return parseParquet(buffer);
+    default:
+      throw new Error(`Unsupported data format "${format}"`);
+  }
+}
+
+// TextDecoder drops a leading byte-order mark.
+function decodeText(buffer) {
+  return new TextDecoder().decode(buffer);
+}
+
+function parseNdjson(text) {
+  const rows = [];
+  const lines = text.split(/\r?\n/);
+  for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+    const line = lines[lineIndex].trim();
+    if (!line) continue;
+    try {
+      rows.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Line ${lineIndex + 1}: ${error.message}`);
+    }
+  }
+  return rows;
+}
+
+/**
+ * RFC 4180 CSV with a header row. The delimiter (comma, tab or semicolon) is
+ * taken from the header. Columns whose non-empty cells are all numbers become
+ * numeric, unless a cell would change as a number (see isNumericCell), so
+ * zip codes and long ids stay text. Empty cells are null.
+ */
+function parseCsv(text) {
+  const delimiter = detectDelimiter(text);
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (inQuotes) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else {
+        inQuotes = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") index++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const dataRecords = records.slice(1).filter((cells) => cells.length > 1 || cells[0] !== "");
+  const columnNames = uniqueHeaderNames(records[0] || []);
+
+  const columns = {};
+  columnNames.forEach((name, columnIndex) => {
+    const cells = dataRecords.map((recordCells) => {
+      const cell = recordCells[columnIndex];
+      return cell === undefined || cell === "" ? null : cell;
+    });
+    const numeric = cells.every((cell) => cell === null || isNumericCell(cell.trim()));
+    columns[name] = encodeColumn(numeric ? cells.map((cell) => (cell === null ? null : Number(cell))) : cells);
+  });
+
+  return { columnNames, rowCount: dataRecords.length, columns };
+}
+
+/**
+ * True when `text` is a number that survives the trip to a double and back:
+ * no leading zeros ("007"), and no digits lost to precision
+ * ("12345678901234567890"). Formatting alone ("2.50", "1e3") is fine.
+ */
+function isNumericCell(text) {
+  if (!NUMBER_PATTERN.test(text) || LEADING_ZERO_PATTERN.test(text)) return false;
+  return decimalKey(text) === decimalKey(String(Number(text)));
+}
+
+// Sign, significant digits and decimal exponent, e.g. "-0.0250" -> "-25e-1".
+function decimalKey(text) {
+  const [, sign, integerDigits, fractionDigits, exponent] = /^([+-]?)(\d*)\.?(\d*)(?:[eE]([+-]?\d+))?$/.exec(text);
+  let digits = integerDigits + fractionDigits;
+  let scale = Number(exponent || 0) + integerDigits.length;
+
+  const leadingZeros = digits.length - digits.replace(/^0+/, "").length;
+  digits = digits.slice(leadingZeros).replace(/0+$/, "");
+  scale -= leadingZeros;
+
+  return digits ? `${sign === "-" ? "-" : ""}${digits}e${scale}` : "0";
+}
+
+function detectDelimiter(text) {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  let best = ",";
+  let bestCount = 0;
+  for (const candidate of [",", "\t", ";"]) {
+    const count = header.split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+// Blank headers get `column_<n>`, repeats get a numeric suffix.
+function uniqueHeaderNames(header) {
+  const used = new Set();
+  return header.map((rawName, index) => {
+    const base = rawName.trim() || `column_${index + 1}`;
+    let name = base;
+    for (let suffix = 2; used.has(name); suffix++) name = `${base}_${suffix}`;
+    used.add(name);
+    return name;
+  });
+}
+
+function parseArrow(bytes) {
+  const table = tableFromIPC(bytes);
+  const columnNames = table.schema.fields.map((field) => field.name);
+
+  const columns = {};
+  for (const [columnIndex, name] of columnNames.entries()) {
+    const vector = table.getChildAt(columnIndex);
+    const type = vector.type;
+
+    // Plain numbers copy straight out of the Arrow buffers.
+    if (DataType.isFloat(type) || (DataType.isInt(type) && type.bitWidth < 64)) {
+      const values = Float64Array.from(vector.toArray());
+      let nulls = null;
+      if (vector.nullCount > 0) {
+        nulls = new Uint8Array(table.numRows);
+        for (let rowIndex = 0; rowIndex < table.numRows; rowIndex++) {
+          if (!vector.isValid(rowIndex)) {
+            nulls[rowIndex] = 1;
+            values[rowIndex] = Number.NaN;
+          }
+        }
+      }
+      columns[name] = { kind: "number", values, nulls };
+      continue;
+    }
+
+    const values = new Array(table.numRows);
+    for (let rowIndex = 0; rowIndex < table.numRows; rowIndex++) {
+      values[rowIndex] = fromArrowValue(vector.get(rowIndex));
+    }
+    columns[name] = encodeColumn(values);
+  }
+
+  return { columnNames, rowCount: table.numRows, columns };
+}
+
+// Structs, lists and maps come back as Arrow proxies; make them plain values.
+function fromArrowValue(value) {
+  if (value && typeof value === "object" && !(value instanceof Date) && typeof value.toJSON === "function") {
+    return value.toJSON();
+  }
+  return value ?? null;
+}
+
+async function parseParquet(buffer) {
+  const metadata = parquetMetadata(buffer);
+  const columnNames = parquetSchema(metadata).children.map((child) => child.element.name);
+  const range = await readColumnarRange({ file: buffer, metadata }, columnNames, 0, Number(metadata.num_rows));
+  return { columnNames, ...range };
+}
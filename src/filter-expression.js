@@ -0,0 +1,369 @@
+/**
+ * Tiny predicate language for the `filter` input, e.g.
+ *
+ *   rating <= 2 && country == "DE"
+ *   (topic in ["billing", "refunds"] or helpful_votes > 10) and not verified
+ *   text contains "late delivery"
+ *
+ * Operators: == (or =), !=, <, <=, >, >=, contains, in [..], not in [..],
+ * && / and, || / or, ! / not, parentheses. Literals: numbers, "strings" or
+ * 'strings', true, false, null. Column names with spaces go in backticks.
+ */
+
+export class FilterExpressionError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = "FilterExpressionError";
+    this.position = position;
+  }
+}
+
+const KEYWORDS = new Set(["and", "or", "not", "in", "contains", "true", "false", "null"]);
+
+function tokenize(source) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const char = source[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    const start = position;
+
+    if (char === '"' || char === "'") {
+      let value = "";
+      position++;
+      while (position < source.length && source[position] !== char) {
+        if (source[position] === "\\" && position + 1 < source.length) position++;
+        value += source[position];
+        position++;
+      }
+      if (position >= source.length) {
+        throw new FilterExpressionError("Unterminated string literal", start);
+      }
+      position++;
+      tokens.push({ type: "string", value, position: start });
+      continue;
+    }
+
+    if (char === "`") {
+      const end = source.indexOf("`", position + 1);
+      if (end === -1) throw new FilterExpressionError("Unterminated column name", start);
+      tokens.push({ type: "identifier", value: source.slice(position + 1, end), position: start });
+      position = end + 1;
+      continue;
+    }
+
+    const numberMatch = /^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(source.slice(position));
+    const previous = tokens[tokens.length - 1];
+    const minusIsUnary =
+      char !== "-" ||
+      !previous ||
+      previous.type === "operator" ||
+      (previous.type === "punctuation" && previous.value !== ")" && previous.value !== "]");
+    if (numberMatch && minusIsUnary) {
+      tokens.push({ type: "number", value: Number(numberMatch[0]), position: start });
+      position += numberMatch[0].length;
+      continue;
+    }
+
+    const wordMatch = /^[A-Za-z_][A-Za-z0-9_.]*/.exec(source.slice(position));
+    if (wordMatch) {
+      const word = wordMatch[0];
+      const lower = word.toLowerCase();
+      tokens.push(
+        KEYWORDS.has(lower)
+          ? { type: "keyword", value: lower, position: start }
+          : { type: "identifier", value: word, position: start }
+      );
+      position += word.length;
+      continue;
+    }
+
+    const operator = ["&&", "||", "==", "!=", "<=", ">=", "<", ">", "=", "!"].find((candidate) =>
+      source.startsWith(candidate, position)
+    );
+    if (operator) {
+      tokens.push({ type: "operator", value: operator, position: start });
+      position += operator.length;
+      continue;
+    }
+
+    if ("()[],".includes(char)) {
+      tokens.push({ type: "punctuation", value: char, position: start });
+      position++;
+      continue;
+    }
+
+    throw new FilterExpressionError(`Unexpected character "${char}"`, start);
+  }
+
+  tokens.push({ type: "end", value: null, position: source.length });
+  return tokens;
+}
+
+function parse(tokens) {
+  let cursor = 0;
+
+  const peek = () => tokens[cursor];
+  const advance = () => tokens[cursor++];
+
+  const matches = (type, ...values) => {
+    const token = peek();
+    return token.type === type && (values.length === 0 || values.includes(token.value));
+  };
+
+  const expect = (type, value) => {
+    if (!matches(type, value)) {
+      const token = peek();
+      const found = token.type === "end" ? "end of expression" : `"${token.value}"`;
+      throw new FilterExpressionError(`Expected "${value}" but found ${found}`, token.position);
+    }
+    return advance();
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (matches("operator", "||") || matches("keyword", "or")) {
+      advance();
+      node = { type: "or", left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (matches("operator", "&&") || matches("keyword", "and")) {
+      advance();
+      node = { type: "and", left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  const parseNot = () => {
+    if (matches("operator", "!") || matches("keyword", "not")) {
+      advance();
+      return { type: "not", operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseComparison = () => {
+    const left = parsePrimary();
+
+    if (matches("operator", "==", "=", "!=", "<", "<=", ">", ">=")) {
+      const operator = advance().value;
+      return {
+        type: "compare",
+        operator: operator === "=" ? "==" : operator,
+        left,
+        right: parsePrimary(),
+      };
+    }
+
+    if (matches("keyword", "contains")) {
+      advance();
+      return { type: "compare", operator: "contains", left, right: parsePrimary() };
+    }
+
+    if (matches("keyword", "in")) {
+      advance();
+      return { type: "in", left, list: parseList() };
+    }
+
+    if (matches("keyword", "not") && tokens[cursor + 1]?.type === "keyword" && tokens[cursor + 1].value === "in") {
+      advance();
+      advance();
+      return { type: "not", operand: { type: "in", left, list: parseList() } };
+    }
+
+    return left;
+  };
+
+  const parseList = () => {
+    expect("punctuation", "[");
+    const items = [];
+    if (!matches("punctuation", "]")) {
+      items.push(parsePrimary());
+      while (matches("punctuation", ",")) {
+        advance();
+        items.push(parsePrimary());
+      }
+    }
+    expect("punctuation", "]");
+    return items;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (token.type === "number" || token.type === "string") {
+      advance();
+      return { type: "literal", value: token.value };
+    }
+
+    if (token.type === "keyword" && ["true", "false", "null"].includes(token.value)) {
+      advance();
+      return { type: "literal", value: token.value === "null" ? null : token.value === "true" };
+    }
+
+    if (token.type === "identifier") {
+      advance();
+      return { type: "column", name: token.value };
+    }
+
+    if (matches("punctuation", "(")) {
+      advance();
+      const node = parseOr();
+      expect("punctuation", ")");
+      return node;
+    }
+
+    const found = token.type === "end" ? "end of expression" : `"${token.value}"`;
+    throw new FilterExpressionError(`Unexpected ${found}`, token.position);
+  };
+
+  const ast = parseOr();
+  if (!matches("end")) {
+    const token = peek();
+    throw new FilterExpressionError(`Unexpected "${token.value}"`, token.position);
+  }
+  return ast;
+}
+
+function normalizeValue(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === "bigint") return Number(value);
+  return value;
+}
+
+function asNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : Number.NaN;
+  if (typeof value === "string" && value.trim() !== "") return Number(value);
+  if (typeof value === "boolean") return value ? 1 : 0;
+  return Number.NaN;
+}
+
+function looseEquals(left, right) {
+  if (left == null || right == null) return left == null && right == null;
+
+  if (typeof left === "number" || typeof right === "number") {
+    const leftNumber = asNumber(left);
+    const rightNumber = asNumber(right);
+    if (Number.isFinite(leftNumber) && Number.isFinite(rightNumber)) {
+      return leftNumber === rightNumber;
+    }
+  }
+
+  return String(left) === String(right);
+}
+
+function compareValues(operator, rawLeft, rawRight) {
+  const left = normalizeValue(rawLeft);
+  const right = normalizeValue(rawRight);
+
+  switch (operator) {
+    case "==":
+      return looseEquals(left, right);
+    case "!=":
+      return !looseEquals(left, right);
+    case "contains":
+      if (left == null || right == null) return false;
+      if (Array.isArray(left)) return left.some((item) => looseEquals(normalizeValue(item), right));
+      return String(left).toLowerCase().includes(String(right).toLowerCase());
+    default:
+      break;
+  }
+
+  if (left == null || right == null) return false;
+
+  let a = left;
+  let b = right;
+  const leftNumber = asNumber(left);
+  const rightNumber = asNumber(right);
+  if (Number.isFinite(leftNumber) && Number.isFinite(rightNumber)) {
+    a = leftNumber;
+    b = rightNumber;
+  } else {
+    a = String(left);
+    b = String(right);
+  }
+
+  switch (operator) {
+    case "<":
+      return a < b;
+    case "<=":
+      return a <= b;
+    case ">":
+      return a > b;
+    case ">=":
+      return a >= b;
+    default:
+      return false;
+  }
+}
+
+function truthy(value) {
+  const normalized = normalizeValue(value);
+  if (typeof normalized === "string") return normalized !== "" && normalized !== "false";
+  return Boolean(normalized);
+}
+
+function compileNode(node, columns) {
+  switch (node.type) {
+    case "literal":
+      return () => node.value;
+    case "column":
+      columns.add(node.name);
+      return (row) => row?.[node.name];
+    case "not": {
+      const operand = compileNode(node.operand, columns);
+      return (row) => !truthy(operand(row));
+    }
+    case "and": {
+      const left = compileNode(node.left, columns);
+      const right = compileNode(node.right, columns);
+      return (row) => truthy(left(row)) && truthy(right(row));
+    }
+    case "or": {
+      const left = compileNode(node.left, columns);
+      const right = compileNode(node.right, columns);
+      return (row) => truthy(left(row)) || truthy(right(row));
+    }
+    case "compare": {
+      const left = compileNode(node.left, columns);
+      const right = compileNode(node.right, columns);
+      return (row) => compareValues(node.operator, left(row), right(row));
+    }
+    case "in": {
+      const left = compileNode(node.left, columns);
+      const items = node.list.map((item) => compileNode(item, columns));
+      return (row) => {
+        const value = normalizeValue(left(row));
+        return items.some((item) => looseEquals(value, normalizeValue(item(row))));
+      };
+    }
+    default:
+      throw new FilterExpressionError(`Unsupported expression node "${node.type}"`, 0);
+  }
+}
+
+/**
+ * Compile a filter expression into a row predicate.
+ * Returns `{ predicate, columns }` where `columns` lists every referenced column.
+ * Throws FilterExpressionError (with a character `position`) on syntax errors.
+ */
+export function compileFilterExpression(source) {
+  const text = String(source ?? "");
+  const columns = new Set();
+  const evaluate = compileNode(parse(tokenize(text)), columns);
+
+  return {
+    predicate: (row) => truthy(evaluate(row)),
+    columns: Array.from(columns),
+  };
+}
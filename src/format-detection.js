@@ -0,0 +1,78 @@
+/**
+ * Data format detection for `data-url`: file extension, Content-Type header
+ * and magic bytes. Kept apart from the parsers in data-formats.js, which
+ * only load in the decode worker or the main-thread fallback.
+ */
+
+export const DATA_FORMATS = ["csv", "json", "ndjson", "arrow", "parquet"];
+
+const EXTENSION_FORMATS = {
+  csv: "csv",
+  tsv: "csv",
+  txt: "csv",
+  json: "json",
+  ndjson: "ndjson",
+  jsonl: "ndjson",
+  arrow: "arrow",
+  arrows: "arrow",
+  feather: "arrow",
+  ipc: "arrow",
+  parquet: "parquet",
+  pq: "parquet",
+};
+
+const CONTENT_TYPE_FORMATS = {
+  "text/csv": "csv",
+  "text/tab-separated-values": "csv",
+  "application/json": "json",
+  "application/x-ndjson": "ndjson",
+  "application/ndjson": "ndjson",
+  "application/jsonl": "ndjson",
+  "application/x-jsonlines": "ndjson",
+  "application/vnd.apache.arrow.file": "arrow",
+  "application/vnd.apache.arrow.stream": "arrow",
+  "application/vnd.apache.parquet": "parquet",
+  "application/x-parquet": "parquet",
+};
+
+/**
+ * Format implied by the URL's file extension, or null.
+ */
+export function formatFromUrl(url) {
+  let pathname = String(url || "");
+  try {
+    pathname = new URL(pathname, "http://localhost/").pathname;
+  } catch {
+    // keep the raw string
+  }
+
+  const match = /\.([a-z0-9]+)$/i.exec(pathname);
+  return match ? EXTENSION_FORMATS[match[1].toLowerCase()] || null : null;
+}
+
+/**
+ * Format implied by a Content-Type header, or null.
+ */
+export function formatFromContentType(contentType) {
+  const mimeType = String(contentType || "").split(";")[0].trim().toLowerCase();
+  return CONTENT_TYPE_FORMATS[mimeType] || null;
+}
+
+/**
+ * Guess the format from the first bytes: Parquet and Arrow magic numbers,
+ * then JSON vs NDJSON by the first characters, CSV otherwise.
+ */
+export function sniffFormat(bytes) {
+  const head = new TextDecoder().decode(bytes.subarray(0, 4096));
+
+  if (head.startsWith("PAR1")) return "parquet";
+  // Arrow file magic, or the continuation marker that opens an IPC stream.
+  if (head.startsWith("ARROW1") || (bytes[0] === 0xff && bytes[1] === 0xff && bytes[2] === 0xff && bytes[3] === 0xff)) {
+    return "arrow";
+  }
+
+  const text = head.trimStart();
+  if (text.startsWith("[")) return "json";
+  if (text.startsWith("{")) return /\}\s*\r?\n\s*\{/.test(text) ? "ndjson" : "json";
+  return "csv";
+}
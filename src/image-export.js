@@ -0,0 +1,239 @@
+/**
+ * Image export: the WebGL frame plus the HTML overlays (cluster labels,
+ * legend), redrawn onto a 2D canvas for PNG or written out as SVG. Overlay
+ * styles mirror the shadow-root CSS of the element.
+ *
+ * Coordinates are CSS pixels of the element; `scale` only sets the PNG
+ * resolution.
+ */
+
+const FONT_FAMILY = 'ui-sans-serif, system-ui, -apple-system, "Segoe UI", Roboto, Helvetica, Arial';
+const FONT_SIZE = 12;
+const TEXT_COLOR = "rgba(255,255,255,0.92)";
+const MUTED_TEXT_COLOR = "rgba(255,255,255,0.55)";
+const BORDER_COLOR = "rgba(255,255,255,0.18)";
+
+const LABEL_PADDING_X = 6;
+const LABEL_HEIGHT = 18;
+const LABEL_MAX_WIDTH = 260;
+const LABEL_BACKGROUND = "rgba(0,0,0,0.55)";
+
+const LEGEND_MARGIN = 12;
+const LEGEND_PADDING = 8;
+const LEGEND_ROW_HEIGHT = 18;
+const LEGEND_SWATCH = 10;
+const LEGEND_MAX_NAME_WIDTH = 180;
+const LEGEND_BACKGROUND = "rgba(0,0,0,0.70)";
+
+let measureContext = null;
+
+function measureText(text) {
+  if (!measureContext) {
+    measureContext = document.createElement("canvas").getContext("2d");
+    measureContext.font = `${FONT_SIZE}px ${FONT_FAMILY}`;
+  }
+  return measureContext.measureText(text).width;
+}
+
+// Shorten with an ellipsis to fit, like `text-overflow: ellipsis`.
+function truncateText(text, maxWidth) {
+  if (measureText(text) <= maxWidth) return text;
+
+  let end = text.length;
+  while (end > 0 && measureText(`${text.slice(0, end)}…`) > maxWidth) end--;
+  return `${text.slice(0, end)}…`;
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Boxes for the overlays. `labels` are `{ text, x, y }` centers; `legend` is
+ * a list of `{ name, color, count }` or null.
+ */
+function layoutOverlays({ width, height, labels, legend }) {
+  const labelBoxes = labels.map(({ text, x, y }) => {
+    const shown = truncateText(text, LABEL_MAX_WIDTH - 2 * LABEL_PADDING_X);
+    const boxWidth = measureText(shown) + 2 * LABEL_PADDING_X;
+    return { text: shown, x: x - boxWidth / 2, y: y - LABEL_HEIGHT / 2, width: boxWidth, height: LABEL_HEIGHT };
+  });
+
+  let legendBox = null;
+  if (legend && legend.length > 0) {
+    const maxRows = Math.max(1, Math.floor((height - 2 * LEGEND_MARGIN - 2 * LEGEND_PADDING) / LEGEND_ROW_HEIGHT));
+    const overflow = legend.length > maxRows;
+    const shownEntries = overflow ? legend.slice(0, maxRows - 1) : legend;
+
+    const rows = shownEntries.map((entry) => ({
+      color: entry.color,
+      name: truncateText(String(entry.name), LEGEND_MAX_NAME_WIDTH),
+      count: Number.isFinite(entry.count) ? entry.count.toLocaleString() : "",
+    }));
+    const more = overflow ? `+${(legend.length - shownEntries.length).toLocaleString()} more` : null;
+
+    const nameWidth = Math.max(0, ...rows.map((row) => measureText(row.name)), more ? measureText(more) : 0);
+    const countWidth = Math.max(0, ...rows.map((row) => measureText(row.count)));
+    const boxWidth = 2 * LEGEND_PADDING + LEGEND_SWATCH + 6 + nameWidth + 12 + countWidth;
+    const rowCount = rows.length + (more ? 1 : 0);
+
+    legendBox = {
+      x: width - LEGEND_MARGIN - boxWidth,
+      y: LEGEND_MARGIN,
+      width: boxWidth,
+      height: 2 * LEGEND_PADDING + rowCount * LEGEND_ROW_HEIGHT,
+      rows,
+      more,
+    };
+  }
+
+  return { labelBoxes, legendBox };
+}
+
+function roundedRectPath(context, x, y, width, height, radius) {
+  const r = Math.min(radius, width / 2, height / 2);
+  context.beginPath();
+  context.moveTo(x + r, y);
+  context.arcTo(x + width, y, x + width, y + height, r);
+  context.arcTo(x + width, y + height, x, y + height, r);
+  context.arcTo(x, y + height, x, y, r);
+  context.arcTo(x, y, x + width, y, r);
+  context.closePath();
+}
+
+/**
+ * PNG Blob of `frame` (ImageData of the WebGL canvas) with the overlays on
+ * top, at `scale` output pixels per CSS pixel.
+ */
+export async function composePng({ frame, width, height, scale, background, labels, legend }) {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  const context = canvas.getContext("2d");
+
+  context.fillStyle = background;
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  const frameCanvas = document.createElement("canvas");
+  frameCanvas.width = frame.width;
+  frameCanvas.height = frame.height;
+  frameCanvas.getContext("2d").putImageData(frame, 0, 0);
+  context.drawImage(frameCanvas, 0, 0, canvas.width, canvas.height);
+
+  context.scale(scale, scale);
+  context.font = `${FONT_SIZE}px ${FONT_FAMILY}`;
+  context.textBaseline = "middle";
+  context.lineWidth = 1;
+
+  const { labelBoxes, legendBox } = layoutOverlays({ width, height, labels, legend });
+
+  for (const box of labelBoxes) {
+    roundedRectPath(context, box.x, box.y, box.width, box.height, box.height / 2);
+    context.fillStyle = LABEL_BACKGROUND;
+    context.fill();
+    context.strokeStyle = BORDER_COLOR;
+    context.stroke();
+    context.fillStyle = TEXT_COLOR;
+    context.textAlign = "left";
+    context.fillText(box.text, box.x + LABEL_PADDING_X, box.y + box.height / 2);
+  }
+
+  if (legendBox) {
+    const { x, y } = legendBox;
+    roundedRectPath(context, x, y, legendBox.width, legendBox.height, 10);
+    context.fillStyle = LEGEND_BACKGROUND;
+    context.fill();
+    context.strokeStyle = BORDER_COLOR;
+    context.stroke();
+
+    legendBox.rows.forEach((row, index) => {
+      const rowCenter = y + LEGEND_PADDING + (index + 0.5) * LEGEND_ROW_HEIGHT;
+      context.beginPath();
+      context.arc(x + LEGEND_PADDING + LEGEND_SWATCH / 2, rowCenter, LEGEND_SWATCH / 2, 0, 2 * Math.PI);
+      context.fillStyle = row.color;
+      context.fill();
+
+      context.textAlign = "left";
+      context.fillStyle = TEXT_COLOR;
+      context.fillText(row.name, x + LEGEND_PADDING + LEGEND_SWATCH + 6, rowCenter);
+      context.textAlign = "right";
+      context.fillStyle = MUTED_TEXT_COLOR;
+      context.fillText(row.count, x + legendBox.width - LEGEND_PADDING, rowCenter);
+    });
+
+    if (legendBox.more) {
+      const rowCenter = y + LEGEND_PADDING + (legendBox.rows.length + 0.5) * LEGEND_ROW_HEIGHT;
+      context.textAlign = "left";
+      context.fillStyle = MUTED_TEXT_COLOR;
+      context.fillText(legendBox.more, x + LEGEND_PADDING + LEGEND_SWATCH + 6, rowCenter);
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG encoding failed"))), "image/png");
+  });
+}
+
+/**
+ * SVG document with one circle per visible point (`{ x, y, r, color,
+ * opacity }`) and the overlays as vector shapes and text.
+ */
+export function composeSvg({ width, height, background, points, labels, legend }) {
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="100%" height="100%" fill="${escapeXml(background)}"/>`,
+    "<g>",
+  ];
+
+  for (const point of points) {
+    const opacity = point.opacity < 1 ? ` fill-opacity="${point.opacity}"` : "";
+    parts.push(
+      `<circle cx="${point.x.toFixed(2)}" cy="${point.y.toFixed(2)}" r="${point.r}" fill="${point.color}"${opacity}/>`
+    );
+  }
+  parts.push("</g>");
+
+  const { labelBoxes, legendBox } = layoutOverlays({ width, height, labels, legend });
+  const textAttributes = `font-family='${FONT_FAMILY.replace(/"/g, "")}' font-size="${FONT_SIZE}" dominant-baseline="central"`;
+
+  parts.push(`<g ${textAttributes}>`);
+  for (const box of labelBoxes) {
+    parts.push(
+      `<rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" rx="${box.height / 2}" fill="${LABEL_BACKGROUND}" stroke="${BORDER_COLOR}"/>`,
+      `<text x="${box.x + LABEL_PADDING_X}" y="${box.y + box.height / 2}" fill="${TEXT_COLOR}">${escapeXml(box.text)}</text>`
+    );
+  }
+
+  if (legendBox) {
+    const { x, y } = legendBox;
+    parts.push(
+      `<rect x="${x}" y="${y}" width="${legendBox.width}" height="${legendBox.height}" rx="10" fill="${LEGEND_BACKGROUND}" stroke="${BORDER_COLOR}"/>`
+    );
+    legendBox.rows.forEach((row, index) => {
+      const rowCenter = y + LEGEND_PADDING + (index + 0.5) * LEGEND_ROW_HEIGHT;
+      parts.push(
+        `<circle cx="${x + LEGEND_PADDING + LEGEND_SWATCH / 2}" cy="${rowCenter}" r="${LEGEND_SWATCH / 2}" fill="${escapeXml(row.color)}"/>`,
+        `<text x="${x + LEGEND_PADDING + LEGEND_SWATCH + 6}" y="${rowCenter}" fill="${TEXT_COLOR}">${escapeXml(row.name)}</text>`,
+        `<text x="${x + legendBox.width - LEGEND_PADDING}" y="${rowCenter}" fill="${MUTED_TEXT_COLOR}" text-anchor="end">${escapeXml(row.count)}</text>`
+      );
+    });
+    if (legendBox.more) {
+      const rowCenter = y + LEGEND_PADDING + (legendBox.rows.length + 0.5) * LEGEND_ROW_HEIGHT;
+      parts.push(
+        `<text x="${x + LEGEND_PADDING + LEGEND_SWATCH + 6}" y="${rowCenter}" fill="${MUTED_TEXT_COLOR}">${escapeXml(legendBox.more)}</text>`
+      );
+    }
+  }
+  parts.push("</g>", "</svg>");
+
+  return new Blob([parts.join("\n")], { type: "image/svg+xml" });
+}
+
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
@@ -0,0 +1,36 @@
+/**
+ * Make a value JSON-serializable: bigints become digit strings, dates ISO
+ * strings (null when invalid), and arrays and objects are converted deeply.
+ * Every event payload and text export goes through this.
+ */
+export function jsonSafe(value) {
+  if (value === null || value === undefined) return value;
+
+  const t = typeof value;
+
+  if (t === "bigint") {
+    return value.toString();
+  }
+
+  if (t === "string" || t === "number" || t === "boolean") {
+    return value;
+  }
+
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(jsonSafe);
+  }
+
+  if (t === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = jsonSafe(v);
+    }
+    return out;
+  }
+
+  return undefined;
+}
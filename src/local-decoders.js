@@ -0,0 +1,8 @@
+/**
+ * Decoders for the main-thread fallback. parquet-reader.js imports this
+ * lazily, so the Parquet and Arrow code ships once, in the worker, and is
+ * only fetched again where workers are unavailable.
+ */
+
+export { parseDataBuffer } from "./data-formats.js";
+export { describeParquetSource, openParquetSource, readColumnarRange } from "./parquet-source.js";
@@ -0,0 +1,175 @@
+import { columnarTransferables } from "./columnar.js";
+import { buildPoints } from "./point-builder.js";
+import ParquetWorker from "./parquet-worker.js?worker&inline";
+
+let localDecoders = null;
+
+// Main-thread decoders, loaded on first use (see local-decoders.js).
+function loadLocalDecoders() {
+  localDecoders ??= import("./local-decoders.js");
+  return localDecoders;
+}
+
+/**
+ * Reads Parquet and builds point buffers through the decode worker, or on
+ * the main thread where workers are unavailable (no Worker global, or a CSP
+ * that blocks blob workers). Sources are opaque handles: `{ id, url, numRows,
+ * rowGroupSizes, columnNames, textColumns }`. Whole files in other formats go
+ * through `parse`.
+ */
+export class ParquetReader {
+  #worker;
+  #pending;
+  #nextId;
+  // Main-thread sources, used once the worker is unavailable.
+  #localSources;
+
+  constructor() {
+    this.#worker = null;
+    this.#pending = new Map();
+    this.#nextId = 1;
+    this.#localSources = new Map();
+
+    if (typeof Worker !== "function") return;
+
+    try {
+      this.#worker = new ParquetWorker();
+      this.#worker.onmessage = (event) => this.#settle(event.data);
+      this.#worker.onerror = (event) => {
+        event.preventDefault?.();
+        this.#abandonWorker();
+      };
+    } catch (error) {
+      console.warn("[rmx-scatterplot] decode worker unavailable, reading on the main thread", error);
+      this.#worker = null;
+    }
+  }
+
+  get usesWorker() {
+    return Boolean(this.#worker);
+  }
+
+  async open(url) {
+    const id = this.#nextId++;
+    // The worker runs from a blob URL, so relative URLs must be resolved here.
+    const absoluteUrl = new URL(url, document.baseURI).href;
+
+    const description = await this.#run({ type: "open", sourceId: id, url: absoluteUrl }, async () => {
+      const { describeParquetSource, openParquetSource } = await loadLocalDecoders();
+      const source = await openParquetSource(absoluteUrl);
+      this.#localSources.set(id, source);
+      return describeParquetSource(source);
+    });
+
+    return { id, ...description };
+  }
+
+  /**
+   * Columnar range (see columnar.js) for rows [rowStart, rowEnd).
+   */
+  read(source, columns, rowStart, rowEnd) {
+    return this.#run({ type: "read", sourceId: source.id, columns, rowStart, rowEnd }, async () => {
+      const { readColumnarRange } = await loadLocalDecoders();
+      const localSource = await this.#localSource(source);
+      return readColumnarRange(localSource, columns, rowStart, rowEnd);
+    });
+  }
+
+  /**
+   * Parse a fetched file (see data-formats.js) as `{ id, ...parsed }`. The
+   * worker keeps the parsed columns under `id` for buildPoints. The buffer is
+   * copied rather than transferred so a main-thread retry still has it.
+   */
+  async parse(buffer, format) {
+    const id = this.#nextId++;
+    const parsed = await this.#run({ type: "parse", sourceId: id, buffer, format }, async () => {
+      const { parseDataBuffer } = await loadLocalDecoders();
+      return parseDataBuffer(buffer, format);
+    });
+    return { id, ...parsed };
+  }
+
+  /**
+   * Hand columns built on the main thread (a columnar range, see columnar.js)
+   * to the worker, which keeps them for buildPoints like a parsed file. The
+   * range's buffers are transferred. Returns the handle to build from.
+   */
+  load(range) {
+    const id = this.#nextId++;
+    this.#worker?.postMessage({ id: 0, type: "load", sourceId: id, range }, columnarTransferables(range));
+    return { id };
+  }
+
+  /**
+   * buildPoints (see point-builder.js) over the columns read from `source`,
+   * or parsed or loaded into it. The worker keeps its own copy of those columns, so
+   * only `spec` is posted; the main-thread fallback builds from `table`, the
+   * element's copy.
+   */
+  buildPoints(source, table, spec) {
+    return this.#run({ type: "build", sourceId: source.id, spec }, async () => buildPoints(table, spec));
+  }
+
+  close(source) {
+    if (!source) return;
+    this.#localSources.delete(source.id);
+    if (this.#worker) this.#worker.postMessage({ id: 0, type: "close", sourceId: source.id });
+  }
+
+  terminate() {
+    this.#worker?.terminate();
+    this.#worker = null;
+    this.#localSources.clear();
+
+    const pending = [...this.#pending.values()];
+    this.#pending.clear();
+    for (const { reject } of pending) reject(new DOMException("Aborted", "AbortError"));
+  }
+
+  async #localSource(source) {
+    let localSource = this.#localSources.get(source.id);
+    if (!localSource) {
+      // Opened by the worker before it went away; reopen here.
+      const { openParquetSource } = await loadLocalDecoders();
+      localSource = await openParquetSource(source.url);
+      this.#localSources.set(source.id, localSource);
+    }
+    return localSource;
+  }
+
+  #run(request, runLocally) {
+    if (!this.#worker) return runLocally();
+
+    const id = this.#nextId++;
+    return new Promise((resolve, reject) => {
+      this.#pending.set(id, { resolve, reject, runLocally });
+      this.#worker.postMessage({ ...request, id });
+    });
+  }
+
+  #settle({ id, result, error }) {
+    const pending = this.#pending.get(id);
+    if (!pending) return;
+    this.#pending.delete(id);
+
+    if (error) {
+      const rebuilt = new Error(error.message);
+      rebuilt.name = error.name;
+      pending.reject(rebuilt);
+    } else {
+      pending.resolve(result);
+    }
+  }
+
+  // The worker failed to start or crashed: finish in-flight requests locally.
+  #abandonWorker() {
+    this.#worker?.terminate();
+    this.#worker = null;
+
+    const pending = [...this.#pending.values()];
+    this.#pending.clear();
+    for (const { resolve, reject, runLocally } of pending) {
+      runLocally().then(resolve, reject);
+    }
+  }
+}
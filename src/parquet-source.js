@@ -0,0 +1,114 @@
+import {
+  asyncBufferFromUrl,
+  cachedAsyncBuffer,
+  parquetMetadataAsync,
+  parquetRead,
+  parquetSchema,
+} from "hyparquet";
+import { encodeColumn } from "./columnar.js";
+
+/**
+ * Parquet access shared by the decode worker and the main-thread fallback.
+ * Nothing here touches the DOM. Ranges are encoded as in columnar.js.
+ */
+
+export async function openParquetSource(url) {
+  // No abort signal here: hyparquet forwards it to the HEAD request for
+  // byte-length, and the element's abort-and-restart pattern would kill the
+  // whole load. Callers drop stale results instead.
+  const remoteFile = await asyncBufferFromUrl({
+    url,
+    requestInit: {
+      credentials: "omit",
+      mode: "cors",
+      cache: "no-store",
+    },
+  });
+
+  // Later lazy reads hit the same footer and pages; keep fetched slices around.
+  const file = cachedAsyncBuffer(remoteFile);
+  const metadata = await parquetMetadataAsync(file);
+
+  const topLevelColumns = parquetSchema(metadata).children.map((child) => child.element);
+
+  return {
+    url,
+    file,
+    metadata,
+    numRows: Number(metadata.num_rows),
+    rowGroupSizes: metadata.row_groups.map((rowGroup) => Number(rowGroup.num_rows)),
+    columnNames: topLevelColumns.map((element) => element.name),
+    textColumns: topLevelColumns
+      .filter(
+        (element) =>
+          element.type === "BYTE_ARRAY" &&
+          (element.converted_type === "UTF8" || element.logical_type?.type === "STRING")
+      )
+      .map((element) => element.name),
+  };
+}
+
+/**
+ * The parts of an open source that are safe to post between threads.
+ */
+export function describeParquetSource(source) {
+  return {
+    url: source.url,
+    numRows: source.numRows,
+    rowGroupSizes: source.rowGroupSizes,
+    columnNames: source.columnNames,
+    textColumns: source.textColumns,
+  };
+}
+
+/**
+ * Read `columns` for rows [rowStart, rowEnd) as `{ rowCount, columns }`, with
+ * each column encoded as in columnar.js. `source` only needs `file` and
+ * `metadata`. Column chunks are copied straight into their encoding, without
+ * going through row objects.
+ */
+export async function readColumnarRange(source, columns, rowStart, rowEnd) {
+  const end = Math.min(rowEnd, Number(source.metadata.num_rows));
+  const rowCount = Math.max(0, end - rowStart);
+  const chunksByColumn = new Map(columns.map((name) => [name, []]));
+
+  await parquetRead({
+    file: source.file,
+    metadata: source.metadata,
+    columns,
+    rowStart,
+    rowEnd: end,
+    // Chunks cover whole row groups (or pages), so may reach past the range.
+    onChunk: (chunk) => chunksByColumn.get(chunk.columnName)?.push(chunk),
+  });
+
+  const encodedColumns = {};
+  for (const [name, chunks] of chunksByColumn) {
+    encodedColumns[name] = encodeChunks(chunks, rowStart, rowCount);
+  }
+
+  return { rowCount, columns: encodedColumns };
+}
+
+// Plain numeric chunks (no nulls, no 64-bit integers) fill a Float64Array
+// directly; anything else goes through encodeColumn.
+function encodeChunks(chunks, rowStart, rowCount) {
+  const numeric =
+    chunks.length > 0 &&
+    chunks.every(
+      ({ columnData }) =>
+        ArrayBuffer.isView(columnData) &&
+        !(columnData instanceof BigInt64Array || columnData instanceof BigUint64Array)
+    );
+  const values = numeric ? new Float64Array(rowCount) : new Array(rowCount).fill(null);
+
+  for (const { columnData, rowStart: chunkStart, rowEnd: chunkEnd } of chunks) {
+    const from = Math.max(chunkStart, rowStart);
+    const to = Math.min(chunkEnd, rowStart + rowCount);
+    for (let rowIndex = from; rowIndex < to; rowIndex++) {
+      values[rowIndex - rowStart] = columnData[rowIndex - chunkStart];
+    }
+  }
+
+  return numeric ? { kind: "number", values, nulls: null } : encodeColumn(values);
+}
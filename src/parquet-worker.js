@@ -0,0 +1,101 @@
+import { ColumnTable } from "./column-table.js";
+import { columnarTransferables } from "./columnar.js";
+import { parseDataBuffer } from "./data-formats.js";
+import { describeParquetSource, openParquetSource, readColumnarRange } from "./parquet-source.js";
+import { buildPoints, pointBuildTransferables } from "./point-builder.js";
+
+/**
+ * Decode worker. Requests are `{ id, type, ... }`; every reply is
+ * `{ id, result }` or `{ id, error: { name, message } }`.
+ *
+ *   open  { url }                                   -> source description
+ *   read  { sourceId, columns, rowStart, rowEnd }   -> columnar range (transferred)
+ *   parse { sourceId, buffer, format }              -> parsed data (transferred)
+ *   load  { sourceId, range }                       -> null
+ *   build { sourceId, spec }                        -> point buffers (transferred)
+ *   close { sourceId }                              -> null
+ *
+ * Range reads are also merged into a ColumnTable kept here per source, and
+ * parsed or loaded data is kept whole, so the table mirrors the element's
+ * and `build` only needs the spec (see point-builder.js).
+ */
+
+const sources = new Map();
+const sourceTables = new Map();
+
+/**
+ * Merge a range the way the element does: row groups streamed in order are
+ * appended, reads over every row add whole columns. Other row ranges only
+ * fill in columns for tooltips and events, which points aren't built from.
+ */
+function mergeRange(table, range, rowStart) {
+  if (rowStart === table.rowCount) {
+    table.appendRange(range);
+  } else if (rowStart === 0 && range.rowCount === table.rowCount) {
+    for (const [name, column] of Object.entries(range.columns)) table.setColumn(name, column);
+  }
+}
+
+function sourceFor(sourceId) {
+  const source = sources.get(sourceId);
+  if (!source) throw new Error(`Unknown parquet source ${sourceId}`);
+  return source;
+}
+
+async function handle(request) {
+  switch (request.type) {
+    case "open": {
+      const source = await openParquetSource(request.url);
+      sources.set(request.sourceId, source);
+      sourceTables.set(request.sourceId, new ColumnTable(source.columnNames));
+      return { result: describeParquetSource(source) };
+    }
+    case "read": {
+      const source = sourceFor(request.sourceId);
+      const range = await readColumnarRange(source, request.columns, request.rowStart, request.rowEnd);
+      // Closed while reading: nothing left to merge into.
+      const table = sourceTables.get(request.sourceId);
+      if (table) mergeRange(table, range, request.rowStart);
+      return { result: range, transfer: columnarTransferables(range) };
+    }
+    case "parse": {
+      const parsed = await parseDataBuffer(request.buffer, request.format);
+      const table = new ColumnTable(parsed.columnNames);
+      table.appendRange(parsed);
+      sourceTables.set(request.sourceId, table);
+      return { result: parsed, transfer: columnarTransferables(parsed) };
+    }
+    case "load": {
+      const table = new ColumnTable(request.range.columnNames);
+      table.appendRange(request.range);
+      sourceTables.set(request.sourceId, table);
+      return { result: null };
+    }
+    case "build": {
+      const table = sourceTables.get(request.sourceId);
+      if (!table) throw new Error(`Unknown data source ${request.sourceId}`);
+
+      const built = buildPoints(table, request.spec);
+      return { result: built, transfer: pointBuildTransferables(built) };
+    }
+    case "close":
+      sources.delete(request.sourceId);
+      sourceTables.delete(request.sourceId);
+      return { result: null };
+    default:
+      throw new Error(`Unknown request type "${request.type}"`);
+  }
+}
+
+self.onmessage = async (event) => {
+  const request = event.data;
+  try {
+    const { result, transfer = [] } = await handle(request);
+    self.postMessage({ id: request.id, result }, transfer);
+  } catch (error) {
+    self.postMessage({
+      id: request.id,
+      error: { name: error?.name || "Error", message: String(error?.message || error) },
+    });
+  }
+};
@@ -0,0 +1,608 @@
+import { NULL_CODE } from "./columnar.js";
+import {
+  CONTINUOUS_COLOR_STEPS,
+  MISSING_VALUE_COLOR,
+  NOISE_COLOR,
+  buildCategoricalPalette,
+  resolveColormapName,
+  sampleColormap,
+} from "./colors.js";
+import { compileFilterExpression } from "./filter-expression.js";
+
+/**
+ * Point buffers for regl-scatterplot, derived from a ColumnTable: cluster-key
+ * detection, positions, palette indices, sizes and per-cluster point lists.
+ * Runs in the decode worker (see parquet-worker.js) or, without one, on the
+ * main thread, so it only takes plain data. `spec` carries the element's
+ * inputs:
+ *
+ *   { xKey, yKey, clusterKey, labelKey, colorBy, colorType, colormap,
+ *     colorDomain, palette, paletteMode, clusterColors, noiseClusterId,
+ *     hideNoise, hiddenClusters, sizeBy, sizeScale, filter }
+ *
+ * `clusterKey` is the preferred cluster column; the one used is picked by
+ * chooseBestClusterKey. `filter` is `{ expression, columns }` with columns
+ * resolved as in #resolveRowFilter, or null.
+ */
+
+const MAX_CATEGORICAL_COLORS = 64;
+
+/**
+ * Convert arbitrary input into a finite number. Returns NaN when unusable.
+ */
+function toFiniteNumber(input) {
+  if (typeof input === "number") return Number.isFinite(input) ? input : Number.NaN;
+
+  if (typeof input === "string") {
+    const parsedNumber = Number(input);
+    return Number.isFinite(parsedNumber) ? parsedNumber : Number.NaN;
+  }
+
+  return Number.NaN;
+}
+
+/**
+ * Numeric view of a value for continuous encodings. Dates map to epoch millis,
+ * BigInts to Numbers. Returns NaN when unusable.
+ */
+function toScaleNumber(value) {
+  if (value instanceof Date) {
+    const time = value.getTime();
+    return Number.isFinite(time) ? time : Number.NaN;
+  }
+  if (typeof value === "bigint") return Number(value);
+  return toFiniteNumber(value);
+}
+
+/**
+ * Inspect a sample of a column: "continuous" when every present value is a
+ * number, BigInt or Date, otherwise "categorical". `valueType` is "date" when
+ * the column holds Dates.
+ */
+function detectColumnKind(table, key) {
+  const sampleSize = Math.min(2000, table.rowCount);
+  let seen = 0;
+  let numeric = 0;
+  let dates = 0;
+
+  for (let rowIndex = 0; rowIndex < sampleSize; rowIndex++) {
+    const value = table.get(key, rowIndex);
+    if (value === null || value === undefined) continue;
+
+    seen++;
+    if (value instanceof Date) dates++;
+    else if (typeof value === "number" || typeof value === "bigint") numeric++;
+  }
+
+  const isContinuous = seen > 0 && numeric + dates === seen;
+  return {
+    kind: isContinuous ? "continuous" : "categorical",
+    valueType: isContinuous && dates === seen ? "date" : "number",
+  };
+}
+
+/**
+ * Parse a `color-domain` spec: "" (data extent), "lo,hi" (absolute) or
+ * "2%,98%" (percentiles). Either bound may be left blank.
+ */
+function parseDomainSpec(spec) {
+  const parseBound = (raw) => {
+    const text = String(raw ?? "").trim();
+    if (!text || text === "auto") return null;
+
+    if (text.endsWith("%")) {
+      const percent = Number(text.slice(0, -1));
+      return Number.isFinite(percent)
+        ? { percentile: Math.min(100, Math.max(0, percent)) }
+        : null;
+    }
+
+    const value = Number(text);
+    return Number.isFinite(value) ? { value } : null;
+  };
+
+  const [lower, upper] = String(spec || "").split(",");
+  return { lower: parseBound(lower), upper: parseBound(upper) };
+}
+
+function percentileOfSorted(sortedValues, percentile) {
+  if (sortedValues.length === 0) return Number.NaN;
+
+  const position = (percentile / 100) * (sortedValues.length - 1);
+  const lowerIndex = Math.floor(position);
+  const upperIndex = Math.min(sortedValues.length - 1, lowerIndex + 1);
+  const fraction = position - lowerIndex;
+
+  return sortedValues[lowerIndex] + (sortedValues[upperIndex] - sortedValues[lowerIndex]) * fraction;
+}
+
+/**
+ * Resolve the clamping domain for a continuous encoding from finite values.
+ */
+function resolveDomain(values, domainSpec) {
+  const { lower, upper } = parseDomainSpec(domainSpec);
+
+  let sorted = null;
+  const boundFor = (bound, fallback) => {
+    if (!bound) return fallback;
+    if ("value" in bound) return bound.value;
+
+    if (!sorted) sorted = Float64Array.from(values).sort();
+    return percentileOfSorted(sorted, bound.percentile);
+  };
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+
+  if (!Number.isFinite(min) || !Number.isFinite(max)) return [0, 1];
+
+  return [boundFor(lower, min), boundFor(upper, max)];
+}
+
+/**
+ * Map a value in [min, max] onto 0..1 using a linear, sqrt or log scale.
+ * Values are offset by `min` first so sqrt/log also work for negative domains.
+ */
+function scaleToUnit(value, min, max, scale) {
+  const span = max - min;
+  if (!Number.isFinite(value) || !(span > 0)) return 0;
+
+  const offset = Math.min(span, Math.max(0, value - min));
+
+  if (scale === "sqrt") return Math.sqrt(offset) / Math.sqrt(span);
+  if (scale === "log") return Math.log1p(offset) / Math.log1p(span);
+  return offset / span;
+}
+
+export function isUsableClusterValue(clusterValue) {
+  return (
+    clusterValue !== undefined &&
+    clusterValue !== null &&
+    String(clusterValue).trim() !== ""
+  );
+}
+
+export const CLUSTER_KEY_CANDIDATES = [
+  "cluster",
+  "cluster_id",
+  "clusterId",
+  "label",
+  "topic",
+  "topic_id",
+  "group",
+  "group_id",
+  "category",
+  "category_id",
+];
+
+/**
+ * Choose the best available cluster key by counting presence in a sample of
+ * rows. Names match columns case-insensitively (see resolveColumnName).
+ */
+function chooseBestClusterKey(table, preferredClusterKey) {
+  const preferredKey = table.resolveLoaded(preferredClusterKey) || preferredClusterKey;
+  const candidateClusterKeys = [
+    ...new Set([preferredKey, ...CLUSTER_KEY_CANDIDATES].map((key) => table.resolveLoaded(key))),
+  ].filter(Boolean);
+
+  const presenceCounts = new Map(candidateClusterKeys.map((key) => [key, 0]));
+  const sampleSize = Math.min(2000, table.rowCount);
+
+  for (let rowIndex = 0; rowIndex < sampleSize; rowIndex++) {
+    for (const key of candidateClusterKeys) {
+      if (isUsableClusterValue(table.get(key, rowIndex))) {
+        presenceCounts.set(key, presenceCounts.get(key) + 1);
+      }
+    }
+  }
+
+  let bestKey = preferredKey || "cluster";
+  let bestCount = presenceCounts.get(bestKey) ?? 0;
+
+  for (const [key, count] of presenceCounts.entries()) {
+    if (count > bestCount) {
+      bestKey = key;
+      bestCount = count;
+    }
+  }
+
+  return bestKey;
+}
+
+// Part of the palette cache keys: changes to any palette input recolor.
+function paletteCacheKey(spec) {
+  const overrides = [...spec.clusterColors].map(([id, color]) => `${id}=${color}`).join(",");
+  return `${(spec.palette || ["auto"]).join(",")}:${spec.paletteMode}:${overrides}`;
+}
+
+/**
+ * Decide how points are colored. The cluster column (default) and other
+ * categorical columns get the discrete palette; numeric/date columns are
+ * quantized onto a continuous colormap. Either way points carry a palette
+ * index in valueA, so valueB stays free for other encodings.
+ */
+function buildColorEncoding(table, clusterKey, uniqueClusterLabels, spec) {
+  const colorKey = table.resolveLoaded(String(spec.colorBy || "").trim()) || clusterKey;
+
+  if (colorKey === clusterKey) {
+    // Noise gets a fixed gray instead of a slot in the hue spread.
+    const noiseId = spec.noiseClusterId;
+    const noiseIndex = noiseId ? uniqueClusterLabels.indexOf(noiseId) : -1;
+    const colorLabels =
+      noiseIndex >= 0 ? uniqueClusterLabels.filter((_, index) => index !== noiseIndex) : uniqueClusterLabels;
+    const palette =
+      colorLabels.length > 0
+        ? buildCategoricalPalette(colorLabels, {
+          palette: spec.palette,
+          mode: spec.paletteMode,
+          overrides: spec.clusterColors,
+        })
+        : [];
+    if (noiseIndex >= 0) palette.splice(noiseIndex, 0, spec.clusterColors.get(noiseId) || NOISE_COLOR);
+
+    return {
+      key: clusterKey,
+      cacheKey: `cluster:${clusterKey}:k=${uniqueClusterLabels.length}:noise=${noiseIndex}:${paletteCacheKey(spec)}`,
+      palette,
+      noiseIndex,
+      // Cluster codes already are palette indices.
+      colorIndexFor: (sourceIndex, clusterCode) => clusterCode,
+      representativeColorIndex: (clusterCode) => clusterCode,
+      legend: { type: "categorical", key: clusterKey },
+    };
+  }
+
+  const detected = detectColumnKind(table, colorKey);
+  const kind = spec.colorType === "auto" ? detected.kind : spec.colorType;
+
+  if (kind === "continuous") {
+    const colormap = resolveColormapName(spec.colormap);
+    const columnValues = table.numbers(colorKey, toScaleNumber);
+    const values = columnValues.filter(Number.isFinite);
+
+    const [domainMin, domainMax] = resolveDomain(values, spec.colorDomain);
+    const span = domainMax - domainMin || 1;
+    const missingIndex = CONTINUOUS_COLOR_STEPS;
+
+    const palette = Array.from({ length: CONTINUOUS_COLOR_STEPS }, (_, index) =>
+      sampleColormap(colormap, index / (CONTINUOUS_COLOR_STEPS - 1))
+    );
+    palette.push(MISSING_VALUE_COLOR);
+
+    const stopCount = 11;
+    const stops = Array.from({ length: stopCount }, (_, index) => {
+      const offset = index / (stopCount - 1);
+      return { offset, color: sampleColormap(colormap, offset) };
+    });
+
+    return {
+      key: colorKey,
+      cacheKey: `continuous:${colorKey}:${colormap}:${domainMin}:${domainMax}`,
+      palette,
+      noiseIndex: -1,
+      colorIndexFor: (sourceIndex) => {
+        const value = columnValues[sourceIndex];
+        if (!Number.isFinite(value)) return missingIndex;
+
+        const t = Math.min(1, Math.max(0, (value - domainMin) / span));
+        return Math.round(t * (CONTINUOUS_COLOR_STEPS - 1));
+      },
+      // Color of the cluster's mean value, ignoring missing values.
+      representativeColorIndex: (clusterCode, colorIndices) => {
+        let sum = 0;
+        let count = 0;
+        for (const colorIndex of colorIndices) {
+          if (colorIndex === missingIndex) continue;
+          sum += colorIndex;
+          count++;
+        }
+        return count === 0 ? missingIndex : Math.round(sum / count);
+      },
+      legend: {
+        type: "continuous",
+        key: colorKey,
+        valueType: detected.valueType,
+        colormap,
+        domain: [domainMin, domainMax],
+        stops,
+        missingColor: MISSING_VALUE_COLOR,
+      },
+    };
+  }
+
+  // Categorical column other than the cluster column: most frequent values get
+  // a palette slot, the long tail and missing values share a neutral color.
+  const { codes, labels } = table.categories(colorKey);
+  const countsByCode = new Uint32Array(labels.length);
+  for (const code of codes) {
+    if (code !== NULL_CODE) countsByCode[code]++;
+  }
+
+  const categories = labels
+    .map((label, code) => [label, countsByCode[code], code])
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_CATEGORICAL_COLORS);
+
+  const palette = buildCategoricalPalette(
+    categories.map(([label]) => label),
+    { palette: spec.palette, mode: spec.paletteMode }
+  );
+  const otherIndex = palette.length;
+  palette.push(MISSING_VALUE_COLOR);
+
+  const paletteIndexByCode = new Uint32Array(labels.length).fill(otherIndex);
+  categories.forEach(([, , code], index) => {
+    paletteIndexByCode[code] = index;
+  });
+
+  const legendCategories = categories.map(([category, count], index) => ({
+    value: category,
+    color: palette[index],
+    count,
+  }));
+
+  const categorizedCount = categories.reduce((sum, [, count]) => sum + count, 0);
+  if (categorizedCount < table.rowCount) {
+    legendCategories.push({
+      value: null,
+      other: true,
+      color: MISSING_VALUE_COLOR,
+      count: table.rowCount - categorizedCount,
+    });
+  }
+
+  return {
+    key: colorKey,
+    cacheKey: `categorical:${colorKey}:k=${categories.length}:${paletteCacheKey(spec)}`,
+    palette,
+    noiseIndex: -1,
+    colorIndexFor: (sourceIndex) => {
+      const code = codes[sourceIndex];
+      return code === NULL_CODE ? otherIndex : paletteIndexByCode[code];
+    },
+    // Most common color within the cluster.
+    representativeColorIndex: (clusterCode, colorIndices) => {
+      const counts = new Map();
+      let bestIndex = otherIndex;
+      let bestCount = 0;
+      for (const colorIndex of colorIndices) {
+        const count = (counts.get(colorIndex) || 0) + 1;
+        counts.set(colorIndex, count);
+        if (count > bestCount) {
+          bestIndex = colorIndex;
+          bestCount = count;
+        }
+      }
+      return bestIndex;
+    },
+    legend: {
+      type: "categorical",
+      key: colorKey,
+      categories: legendCategories,
+    },
+  };
+}
+
+/**
+ * Numeric size-by column -> 0..1 valueB per point, or null when sizing is off
+ * or the column is missing. Missing values get the minimum size.
+ */
+function buildSizeEncoding(table, spec) {
+  const sizeKey = table.resolveLoaded(String(spec.sizeBy || "").trim());
+  if (!sizeKey) return null;
+
+  const columnValues = table.numbers(sizeKey, toScaleNumber);
+  const values = columnValues.filter(Number.isFinite);
+  if (values.length === 0) return null;
+
+  const [domainMin, domainMax] = resolveDomain(values, "");
+
+  return {
+    key: sizeKey,
+    domain: [domainMin, domainMax],
+    valueFor: (sourceIndex) => scaleToUnit(columnValues[sourceIndex], domainMin, domainMax, spec.sizeScale),
+  };
+}
+
+/**
+ * Display name per cluster: the first non-empty label found in the cluster,
+ * else the cluster id. Scans all rows so names don't depend on filtering or
+ * hidden clusters.
+ */
+function clusterDisplayNames(table, labelKey, clusterCategories, uniqueClusterLabels) {
+  const names = [...uniqueClusterLabels];
+  if (!labelKey || !clusterCategories) return names;
+
+  const named = new Uint8Array(names.length);
+  let namedCount = 0;
+  for (let sourceIndex = 0; sourceIndex < table.rowCount; sourceIndex++) {
+    const clusterCode = clusterCategories.codes[sourceIndex];
+    if (clusterCode === NULL_CODE || named[clusterCode]) continue;
+
+    const raw = table.get(labelKey, sourceIndex);
+    if (isUsableClusterValue(raw)) {
+      const displayLabel = String(raw).trim();
+      if (displayLabel) {
+        names[clusterCode] = displayLabel;
+        named[clusterCode] = 1;
+        if (++namedCount === names.length) break;
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * Everything the element draws for `table` under `spec`:
+ *
+ *   clusterKey      cluster column used
+ *   clusters        { ids, names, idByName, counts, hidden, colorIndices }
+ *                   per cluster code; counts include hidden clusters, and
+ *                   colorIndices is each cluster's legend color
+ *   points          { x, y, valueA, valueB? } Float32Arrays for regl-scatterplot;
+ *                   valueA is left for the element to fill with palette indices
+ *   sourceIndices   table row of each point
+ *   colorIndices    base palette index of each point
+ *   clusterOffsets  points of cluster c are
+ *   clusterPoints   clusterPoints[clusterOffsets[c] .. clusterOffsets[c + 1]]
+ *   color           { key, cacheKey, palette, noiseIndex, legend }
+ *   size            { key, domain } or null
+ *
+ * All typed arrays are fresh, see pointBuildTransferables.
+ */
+export function buildPoints(table, spec) {
+  const rowCount = table.rowCount;
+  const clusterKey = chooseBestClusterKey(table, spec.clusterKey);
+
+  // Unique cluster labels -> palette index mapping. Cluster codes index
+  // uniqueClusterLabels; rows without a usable value fall into the first one.
+  const clusterCategories = table.categories(clusterKey);
+  const uniqueClusterLabels = clusterCategories ? [...clusterCategories.labels] : [];
+
+  if (uniqueClusterLabels.length === 0) uniqueClusterLabels.push("0");
+
+  const colorEncoding = buildColorEncoding(table, clusterKey, uniqueClusterLabels, spec);
+  const sizeEncoding = buildSizeEncoding(table, spec);
+
+  // Prefer human-readable cluster labels (e.g. "Billing refunds") for display,
+  // but keep the original cluster id around for stable selection. Only map
+  // label -> id when it's unambiguous; keep the first one.
+  const clusterNames = clusterDisplayNames(table, spec.labelKey, clusterCategories, uniqueClusterLabels);
+  const clusterIdByName = new Map();
+  uniqueClusterLabels.forEach((clusterId, clusterCode) => {
+    if (!clusterIdByName.has(clusterNames[clusterCode])) clusterIdByName.set(clusterNames[clusterCode], clusterId);
+  });
+
+  // Hidden clusters may be given by id or display label; ids win.
+  const clusterCodeById = new Map(uniqueClusterLabels.map((clusterId, clusterCode) => [clusterId, clusterCode]));
+  const hiddenByCode = new Uint8Array(uniqueClusterLabels.length);
+  for (const value of spec.hiddenClusters) {
+    const clusterCode = clusterCodeById.get(value) ?? clusterCodeById.get(clusterIdByName.get(value));
+    if (clusterCode !== undefined) hiddenByCode[clusterCode] = 1;
+  }
+  const noiseCode = spec.noiseClusterId ? clusterCodeById.get(spec.noiseClusterId) : undefined;
+  if (spec.hideNoise && noiseCode !== undefined) hiddenByCode[noiseCode] = 1;
+
+  // The predicate reads plain objects; refill one with just the columns it
+  // uses, keyed as written in the expression. Functions can't cross the
+  // worker boundary, so the expression is compiled again here.
+  const predicate = spec.filter ? compileFilterExpression(spec.filter.expression).predicate : null;
+  const filterColumns = spec.filter ? spec.filter.columns : [];
+  const filterRow = {};
+
+  const xs = table.numbers(spec.xKey, toScaleNumber);
+  const ys = table.numbers(spec.yKey, toScaleNumber);
+
+  const drawnSourceIndices = new Uint32Array(xs && ys ? rowCount : 0);
+  const drawnClusterCodes = new Uint32Array(drawnSourceIndices.length);
+  const countsByCluster = new Uint32Array(uniqueClusterLabels.length);
+  const drawnByCluster = new Uint32Array(uniqueClusterLabels.length);
+  let drawnCount = 0;
+
+  for (let sourceIndex = 0; sourceIndex < drawnSourceIndices.length; sourceIndex++) {
+    if (!Number.isFinite(xs[sourceIndex]) || !Number.isFinite(ys[sourceIndex])) continue;
+
+    if (predicate) {
+      for (const [name, column] of filterColumns) filterRow[name] = table.get(column, sourceIndex);
+      if (!predicate(filterRow)) continue;
+    }
+
+    const rawCode = clusterCategories ? clusterCategories.codes[sourceIndex] : NULL_CODE;
+    const clusterCode = rawCode === NULL_CODE ? 0 : rawCode;
+
+    // Hidden clusters still count towards the legend but aren't drawn, so
+    // they can't be hovered, selected or labelled.
+    countsByCluster[clusterCode]++;
+    if (hiddenByCode[clusterCode]) continue;
+
+    drawnByCluster[clusterCode]++;
+    drawnClusterCodes[drawnCount] = clusterCode;
+    drawnSourceIndices[drawnCount++] = sourceIndex;
+  }
+
+  // regl-scatterplot takes columnar points: x, y, a palette index in valueA
+  // (colorBy: "valueA") and, when sizing by a column, a 0..1 valueB.
+  const points = {
+    x: new Float32Array(drawnCount),
+    y: new Float32Array(drawnCount),
+    valueA: new Float32Array(drawnCount),
+  };
+  if (sizeEncoding) points.valueB = new Float32Array(drawnCount);
+
+  const colorIndices = new Uint32Array(drawnCount);
+
+  // Point indices grouped by cluster, in draw order.
+  const clusterOffsets = new Uint32Array(uniqueClusterLabels.length + 1);
+  for (let clusterCode = 0; clusterCode < uniqueClusterLabels.length; clusterCode++) {
+    clusterOffsets[clusterCode + 1] = clusterOffsets[clusterCode] + drawnByCluster[clusterCode];
+  }
+  const clusterPoints = new Uint32Array(drawnCount);
+  const nextSlot = clusterOffsets.slice(0, uniqueClusterLabels.length);
+
+  for (let pointIndex = 0; pointIndex < drawnCount; pointIndex++) {
+    const sourceIndex = drawnSourceIndices[pointIndex];
+    const clusterCode = drawnClusterCodes[pointIndex];
+
+    points.x[pointIndex] = xs[sourceIndex];
+    points.y[pointIndex] = ys[sourceIndex];
+    colorIndices[pointIndex] = colorEncoding.colorIndexFor(sourceIndex, clusterCode);
+    if (sizeEncoding) points.valueB[pointIndex] = sizeEncoding.valueFor(sourceIndex);
+
+    clusterPoints[nextSlot[clusterCode]++] = pointIndex;
+  }
+
+  const clusterColorIndices = Uint32Array.from(uniqueClusterLabels, (_, clusterCode) =>
+    colorEncoding.representativeColorIndex(
+      clusterCode,
+      clusterPoints
+        .subarray(clusterOffsets[clusterCode], clusterOffsets[clusterCode + 1])
+        .map((pointIndex) => colorIndices[pointIndex])
+    )
+  );
+
+  return {
+    clusterKey,
+    clusters: {
+      ids: uniqueClusterLabels,
+      names: clusterNames,
+      idByName: clusterIdByName,
+      counts: countsByCluster,
+      hidden: hiddenByCode,
+      colorIndices: clusterColorIndices,
+    },
+    points,
+    sourceIndices: drawnSourceIndices.slice(0, drawnCount),
+    colorIndices,
+    clusterOffsets,
+    clusterPoints,
+    color: {
+      key: colorEncoding.key,
+      cacheKey: colorEncoding.cacheKey,
+      palette: colorEncoding.palette,
+      noiseIndex: colorEncoding.noiseIndex,
+      legend: colorEncoding.legend,
+    },
+    size: sizeEncoding ? { key: sizeEncoding.key, domain: sizeEncoding.domain } : null,
+  };
+}
+
+/**
+ * Typed-array buffers in a buildPoints result, for a postMessage transfer list.
+ */
+export function pointBuildTransferables(result) {
+  const arrays = [
+    ...Object.values(result.points),
+    result.sourceIndices,
+    result.colorIndices,
+    result.clusterOffsets,
+    result.clusterPoints,
+    result.clusters.counts,
+    result.clusters.hidden,
+    result.clusters.colorIndices,
+  ];
+  return arrays.map((array) => array.buffer);
+}
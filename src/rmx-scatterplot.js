@@ -1,156 +1,337 @@
 import createScatterplot from "regl-scatterplot";
-import { asyncBufferFromUrl, parquetReadObjects } from "hyparquet";
+import { compileFilterExpression } from "./filter-expression.js";
+import { ParquetReader } from "./parquet-reader.js";
+import { ColumnTable, resolveColumnName } from "./column-table.js";
+import { DATA_FORMATS, formatFromContentType, formatFromUrl, sniffFormat } from "./format-detection.js";
+import { columnarFromRecords, rowsFromColumnarRange } from "./columnar.js";
+import { MISSING_VALUE_COLOR, hexToRgb01 } from "./colors.js";
+import { blobToDataUrl, composePng, composeSvg } from "./image-export.js";
+import { jsonSafe } from "./json-safe.js";
+import { CLUSTER_KEY_CANDIDATES, buildPoints, isUsableClusterValue } from "./point-builder.js";
+import { SELECTION_EXPORT_FORMATS, encodeRows } from "./selection-export.js";
+import { compileTooltipTemplate, renderTooltipRows, sanitizeTooltipHtml } from "./tooltip-template.js";
+
+// Noise points (see `noise-cluster-id`) are drawn partly transparent.
+const NOISE_ALPHA = 0.35;
 
 /**
- * Convert arbitrary input into a finite number. Returns NaN when unusable.
+ * Named categorical palettes for the `palette` input. Okabe-Ito and the Tol
+ * palettes are colorblind-safe; black is left out of Okabe-Ito because the
+ * default background is black.
  */
-function toFiniteNumber(input) {
-  if (typeof input === "number") return Number.isFinite(input) ? input : Number.NaN;
+const NAMED_PALETTES = {
+  tableau10: ["#4e79a7", "#f28e2b", "#e15759", "#76b7b2", "#59a14f", "#edc948", "#b07aa1", "#ff9da7", "#9c755f", "#bab0ac"],
+  "okabe-ito": ["#e69f00", "#56b4e9", "#009e73", "#f0e442", "#0072b2", "#d55e00", "#cc79a7", "#999999"],
+  "tol-bright": ["#4477aa", "#ee6677", "#228833", "#ccbb44", "#66ccee", "#aa3377", "#bbbbbb"],
+  "tol-muted": ["#cc6677", "#332288", "#ddcc77", "#117733", "#88ccee", "#882255", "#44aa99", "#999933", "#aa4499", "#dddddd"],
+  set2: ["#66c2a5", "#fc8d62", "#8da0cb", "#e78ac3", "#a6d854", "#ffd92f", "#e5c494", "#b3b3b3"],
+  dark2: ["#1b9e77", "#d95f02", "#7570b3", "#e7298a", "#66a61e", "#e6ab02", "#a6761d", "#666666"],
+  paired: ["#a6cee3", "#1f78b4", "#b2df8a", "#33a02c", "#fb9a99", "#e31a1c", "#fdbf6f", "#ff7f00", "#cab2d6", "#6a3d9a", "#ffff99", "#b15928"],
+};
+
+const PALETTE_ALIASES = {
+  tableau: "tableau10",
+  colorblind: "okabe-ito",
+  okabe: "okabe-ito",
+  tol: "tol-bright",
+};
+
+const PALETTE_MODES = ["order", "hash"];
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+function normalizeHexColor(value) {
+  const text = String(value ?? "").trim();
+  return HEX_COLOR_PATTERN.test(text) ? text.toLowerCase() : null;
+}
 
-  if (typeof input === "string") {
-    const parsedNumber = Number(input);
-    return Number.isFinite(parsedNumber) ? parsedNumber : Number.NaN;
+/**
+ * `palette` input -> list of hex colors, or null for the default evenly
+ * spaced hues. Accepts a palette name, a comma-separated or JSON list of hex
+ * colors, or an array.
+ */
+function parsePaletteInput(value) {
+  if (Array.isArray(value)) {
+    const colors = value.map(normalizeHexColor).filter(Boolean);
+    return colors.length > 0 ? colors : null;
   }
 
-  return Number.NaN;
+  const text = String(value ?? "").trim().toLowerCase();
+  if (!text || text === "auto") return null;
+
+  const name = PALETTE_ALIASES[text] || text;
+  if (Object.prototype.hasOwnProperty.call(NAMED_PALETTES, name)) return NAMED_PALETTES[name];
+
+  return parsePaletteInput(parseListInput(text));
 }
 
 /**
- * Make a value JSON-serializable.
+ * `cluster-colors` input -> Map of cluster id -> hex color. Accepts an object
+ * or its JSON text; entries with invalid colors are dropped.
  */
-function jsonSafe(value) {
-  if (value === null || value === undefined) return value;
-
-  const t = typeof value;
-
-  if (t === "bigint") {
-    return value.toString();
+function parseClusterColors(value) {
+  let object = value;
+  if (typeof value === "string") {
+    if (!value.trim()) return new Map();
+    try {
+      object = JSON.parse(value);
+    } catch {
+      return new Map();
+    }
   }
+  if (!object || typeof object !== "object" || Array.isArray(object)) return new Map();
 
-  if (t === "string" || t === "number" || t === "boolean") {
-    return value;
+  const colors = new Map();
+  for (const [id, color] of Object.entries(object)) {
+    const hex = normalizeHexColor(color);
+    if (hex) colors.set(String(id), hex);
   }
+  return colors;
+}
+
+const SIZE_SCALES = ["linear", "sqrt", "log"];
+const SIZE_STEPS = 64;
+
+/**
+ * Parse a "min,max" point-size range. Falls back per bound and keeps min <= max.
+ */
+function parseSizeRange(spec, fallback = [2, 12]) {
+  const [rawMin, rawMax] = String(spec || "").split(",");
+  const min = Number(String(rawMin ?? "").trim());
+  const max = Number(String(rawMax ?? "").trim());
+
+  const lower = Number.isFinite(min) && min > 0 ? min : fallback[0];
+  const upper = Number.isFinite(max) && max > 0 ? max : fallback[1];
+  return [Math.min(lower, upper), Math.max(lower, upper)];
+}
+
+/**
+ * Normalize a list input: arrays, JSON array strings or comma-separated strings.
+ */
+function parseListInput(value) {
+  if (value == null) return [];
 
   if (Array.isArray(value)) {
-    return value.map(jsonSafe);
+    return value.map((item) => String(item ?? "").trim()).filter(Boolean);
   }
 
-  if (t === "object") {
-    const out = {};
-    for (const [k, v] of Object.entries(value)) {
-      out[k] = jsonSafe(v);
+  const text = String(value).trim();
+  if (!text) return [];
+
+  if (text.startsWith("[")) {
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) return parseListInput(parsed);
+    } catch {
+      // fall through to comma-separated parsing
     }
-    return out;
   }
 
-  return undefined;
+  return text
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
 }
 
 /**
- * HSV (0..1) -> RGB (0..1). Used for deterministic cluster palettes.
+ * Parse a boolean attribute/input value. Anything but "false"/"0"/"off" is true.
  */
-function hsvToRgb01(hue01, saturation01, value01) {
-  const sectorIndex = Math.floor(hue01 * 6);
-  const sectorFraction = hue01 * 6 - sectorIndex;
-
-  const p = value01 * (1 - saturation01);
-  const q = value01 * (1 - sectorFraction * saturation01);
-  const t = value01 * (1 - (1 - sectorFraction) * saturation01);
-
-  switch (sectorIndex % 6) {
-    case 0:
-      return [value01, t, p];
-    case 1:
-      return [q, value01, p];
-    case 2:
-      return [p, value01, t];
-    case 3:
-      return [p, q, value01];
-    case 4:
-      return [t, p, value01];
-    case 5:
-      return [value01, p, q];
-    default:
-      return [value01, t, p];
-  }
+function parseBooleanInput(value, fallback) {
+  if (value == null) return fallback;
+  if (typeof value === "boolean") return value;
+
+  const text = String(value).trim().toLowerCase();
+  if (!text) return fallback;
+  return !["false", "0", "off", "no"].includes(text);
 }
 
-function rgb01ToHex(rgb01) {
-  const [red01, green01, blue01] = rgb01;
+const SELECTION_PAYLOAD_MODES = ["full", "ids", "columns"];
+
+const ID_KEY_CANDIDATES = ["id", "row_id", "rowId", "_id", "uuid", "review_id"];
+
+// Alpha of points that don't match the active search query.
+const SEARCH_DIM_ALPHA = 0.12;
+const SEARCH_DEBOUNCE_MS = 120;
+
+// Rows closer together than this are hydrated with a single ranged read.
+const HYDRATE_RANGE_GAP = 256;
+
+// While row groups stream in, redraw at most this often.
+const PROGRESS_REDRAW_MS = 250;
+
+// Quiet period after the last camera change before `view-changed` fires.
+const VIEW_CHANGED_DEBOUNCE_MS = 200;
+
+const IMAGE_FORMATS = ["png", "svg"];
 
-  const toByte = (channel01) =>
-    Math.max(0, Math.min(255, Math.round(channel01 * 255)));
+const LEGEND_POSITIONS = ["top-right", "top-left", "bottom-right", "bottom-left"];
+const LEGEND_CLICK_ACTIONS = ["select", "toggle"];
 
-  const red = toByte(red01).toString(16).padStart(2, "0");
-  const green = toByte(green01).toString(16).padStart(2, "0");
-  const blue = toByte(blue01).toString(16).padStart(2, "0");
+// Cluster labels: the largest clusters are always candidates; the rest need
+// their spread to cover this many pixels. Placed pills keep this gap apart.
+const ALWAYS_LABELED_CLUSTERS = 8;
+const MIN_LABELED_SPREAD_PX = 30;
+const LABEL_GAP_PX = 4;
 
-  return `#${red}${green}${blue}`;
+// Connected instances per `link-group` name; members share selection, hover
+// and (with `link-camera`) the camera.
+const linkGroups = new Map();
+
+function sameIdSet(a, b) {
+  if (a.length !== b.length) return false;
+  const ids = new Set(a.map(String));
+  return b.every((id) => ids.has(String(id)));
 }
 
-function pickFirstExistingKey(object, candidateKeys) {
-  if (!object) return null;
+/**
+ * Parse a `view` input (object or JSON text): `{ target: [x, y], zoom }`, or
+ * `{ bounds: { x: [min, max], y: [min, max] } }` to fit an area regardless of
+ * canvas size. Returns null when neither is usable.
+ */
+function parseViewInput(value) {
+  let view = value;
+  if (typeof view === "string") {
+    if (!view.trim()) return null;
+    try {
+      view = JSON.parse(view);
+    } catch {
+      return null;
+    }
+  }
+  if (!view || typeof view !== "object") return null;
 
-  for (const key of candidateKeys) {
-    if (Object.prototype.hasOwnProperty.call(object, key)) return key;
+  const target = Array.isArray(view.target) ? view.target.map(Number) : null;
+  const zoom = Number(view.zoom);
+  if (target?.length === 2 && target.every(Number.isFinite) && Number.isFinite(zoom) && zoom > 0) {
+    return { target, zoom };
+  }
+
+  const xRange = Array.isArray(view.bounds?.x) ? view.bounds.x.map(Number) : [];
+  const yRange = Array.isArray(view.bounds?.y) ? view.bounds.y.map(Number) : [];
+  const ranges = [xRange, yRange];
+  if (ranges.every((range) => range.length === 2 && range.every(Number.isFinite) && range[1] > range[0])) {
+    return { bounds: { x: xRange, y: yRange } };
   }
 
   return null;
 }
 
-function isUsableClusterValue(clusterValue) {
-  return (
-    clusterValue !== undefined &&
-    clusterValue !== null &&
-    String(clusterValue).trim() !== ""
-  );
+/**
+ * Data-space rectangle visible through a camera view matrix (column-major
+ * 4x4), for a canvas with the given width/height ratio.
+ */
+function visibleBoundsForView(view, aspectRatio) {
+  // Clip space is x' = (v0*x + v4*y + v12) / aspectRatio, y' = v1*x + v5*y + v13.
+  const det = view[0] * view[5] - view[4] * view[1];
+  const xs = [];
+  const ys = [];
+  for (const clipX of [-1, 1]) {
+    for (const clipY of [-1, 1]) {
+      const rx = clipX * aspectRatio - view[12];
+      const ry = clipY - view[13];
+      xs.push((view[5] * rx - view[4] * ry) / det);
+      ys.push((view[0] * ry - view[1] * rx) / det);
+    }
+  }
+  return { x: [Math.min(...xs), Math.max(...xs)], y: [Math.min(...ys), Math.max(...ys)] };
 }
 
 /**
- * Choose the best available cluster key by counting presence in a sample of rows.
+ * Data -> CSS pixel mapping for a camera view matrix on a canvas of the given
+ * size, with the clip-space convention of visibleBoundsForView.
  */
-function chooseBestClusterKey(rows, preferredClusterKey) {
-  const candidateClusterKeys = [
-    preferredClusterKey,
-    "cluster",
-    "cluster_id",
-    "clusterId",
-    "label",
-    "topic",
-    "topic_id",
-    "group",
-    "group_id",
-    "category",
-    "category_id",
-  ].filter(Boolean);
-
-  const presenceCounts = new Map(candidateClusterKeys.map((key) => [key, 0]));
-  const sampleSize = Math.min(2000, rows.length);
-
-  for (let rowIndex = 0; rowIndex < sampleSize; rowIndex++) {
-    const row = rows[rowIndex];
-    if (!row) continue;
-
-    for (const key of candidateClusterKeys) {
-      if (isUsableClusterValue(row[key])) {
-        presenceCounts.set(key, presenceCounts.get(key) + 1);
-      }
-    }
+function screenProjection(view, width, height) {
+  const aspectRatio = width / height;
+  return (x, y) => [
+    (((view[0] * x + view[4] * y + view[12]) / aspectRatio) * 0.5 + 0.5) * width,
+    (0.5 - (view[1] * x + view[5] * y + view[13]) * 0.5) * height,
+  ];
+}
+
+const DATA_FORMAT_LABELS = {
+  csv: "CSV",
+  json: "JSON",
+  ndjson: "NDJSON",
+  arrow: "Arrow IPC",
+  parquet: "Parquet",
+};
+
+/**
+ * A failed or unusable load, reported through `load-error`. `code` is one of:
+ * network, cors, not-parquet, invalid-data, missing-columns, empty,
+ * read-failed, draw-failed.
+ */
+class LoadError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "LoadError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function isCrossOrigin(url) {
+  try {
+    return new URL(url, window.location.href).origin !== window.location.origin;
+  } catch {
+    return false;
   }
+}
 
-  let bestKey = preferredClusterKey || "cluster";
-  let bestCount = presenceCounts.get(bestKey) ?? 0;
+/**
+ * Map whatever fetch or a parser threw onto a LoadError. Browsers report CORS
+ * rejections as a bare network TypeError, so cross-origin failures are
+ * reported as `cors` and same-origin ones as `network`. `format` is the
+ * format being read, or null when it wasn't known yet.
+ */
+function toLoadError(error, url, format = "parquet") {
+  if (error instanceof LoadError) return error;
 
-  for (const [key, count] of presenceCounts.entries()) {
-    if (count > bestCount) {
-      bestKey = key;
-      bestCount = count;
-    }
+  const message = String(error?.message || error || "Unknown error");
+  const statusMatch = /\b(\d{3})$/.exec(message);
+  const details = { url, cause: message };
+
+  if (/^fetch |range requests|content-range/i.test(message)) {
+    return new LoadError("network", `Could not fetch ${url} (${message})`, {
+      ...details,
+      status: statusMatch ? Number(statusMatch[1]) : null,
+    });
+  }
+
+  if (error?.name === "TypeError" && /fetch|network|load failed/i.test(message)) {
+    return isCrossOrigin(url)
+      ? new LoadError("cors", `Request to ${url} was blocked; the server may not allow cross-origin requests`, details)
+      : new LoadError("network", `Could not fetch ${url} (${message})`, details);
   }
 
-  return bestKey;
+  // Anything else failed while decoding the file.
+  if (format === "parquet") {
+    return new LoadError("not-parquet", `Could not read ${url} as Parquet (${message})`, details);
+  }
+  const label = DATA_FORMAT_LABELS[format] || "data";
+  return new LoadError("invalid-data", `Could not read ${url} as ${label} (${message})`, { ...details, format });
+}
+
+function pickFirstColumn(table, candidateKeys) {
+  for (const key of candidateKeys) {
+    const resolved = table.resolveLoaded(key);
+    if (resolved) return resolved;
+  }
+
+  return null;
 }
 
+const X_KEY_CANDIDATES = ["x", "projection_x", "umap_x", "tsne_x", "pca_x", "x0"];
+const Y_KEY_CANDIDATES = ["y", "projection_y", "umap_y", "tsne_y", "pca_y", "y0"];
+
+// Matched case-insensitively against the row keys.
+const CLUSTER_LABEL_KEY_CANDIDATES = [
+  "cluster_label",
+  "clusterLabel",
+  "label",
+  "topic_label",
+  "topicLabel",
+];
+
 function formatTooltipLines(rowObject, maxKeys = 40) {
   if (!rowObject || typeof rowObject !== "object") return String(rowObject);
 
@@ -208,6 +389,9 @@ class RmxScatterplot extends HTMLElement {
   static get observedAttributes() {
     return [
       "parquet-url",
+      "data-url",
+      "data-format",
+      "data-json",
       "x",
       "y",
       "point-size",
@@ -217,9 +401,50 @@ class RmxScatterplot extends HTMLElement {
       "selected-cluster-name",
       "show-cluster-labels",
       "cluster-label-key",
+      "cluster-label-zoom",
+      "noise-cluster-id",
+      "hide-noise",
+      "show-status-overlay",
+      "show-legend",
+      "legend-position",
+      "legend-click",
       "background-color",
       "lasso-color",
       "tooltip-key",
+      "tooltip-keys",
+      "tooltip-template",
+      "color-by",
+      "color-type",
+      "colormap",
+      "color-domain",
+      "palette",
+      "palette-mode",
+      "cluster-colors",
+      "size-by",
+      "size-range",
+      "size-scale",
+      "search-query",
+      "search-keys",
+      "filter",
+      "zoom-ids",
+      "zoom-padding",
+      "zoom-transition",
+      "zoom-duration",
+      "view",
+      "link-group",
+      "link-camera",
+      "export-format",
+      "export-scale",
+      "export-legend",
+      "id-key",
+      "selected-ids",
+      "hidden-clusters",
+      "selected-cluster-names",
+      "selection-payload",
+      "selection-columns",
+      "selection-limit",
+      "selection-export-format",
+      "selection-export-columns",
     ];
   }
 
@@ -229,6 +454,20 @@ class RmxScatterplot extends HTMLElement {
   #tooltip;
 
   #labelsLayer;
+  #legend;
+
+  // Loading / status overlay
+  #statusOverlay;
+  #statusText;
+  #statusBarFill;
+  #showStatusOverlay;
+  #positionErrorKey;
+  #drawFailed;
+
+  // Built-in legend
+  #showLegend;
+  #legendPosition;
+  #legendClick;
 
   // Cluster label overlay
   #showClusterLabels;
@@ -237,22 +476,51 @@ class RmxScatterplot extends HTMLElement {
   #clusterLabelToId;
   #labelElementsByCluster;
   #labelLayoutRaf;
-  #warnedMissingScreenPos;
+  // Per-cluster label anchors from #buildClusterLabelAnchors, or null when stale.
+  #clusterLabelAnchors;
+  #clusterLabelZoom;
+  // Cluster id treated as noise ("" for none), and whether to hide it.
+  #noiseClusterId;
+  #hideNoise;
+  // Palette slot of the noise cluster in the current encoding, or -1.
+  #noisePaletteIndex;
+  // Cluster whose label is under the pointer; its points stay lit, the rest dim.
+  #hoveredLabelClusterId;
   #needsInitialFit;
 
   // Scatterplot instance + resizing
   #scatterplot;
   #resizeObserver;
 
-  // Data
-  #rows;
-  #validRows;
+  // Data: loaded rows as columns; drawn points map back to table rows
+  // through #validRowSourceIndices.
+  #table;
+  #validRowSourceIndices;
   #lastDrawnPoints;
 
-  // Request control
+  // Request control. #data (rows or columns set directly) wins over data-url,
+  // which wins over parquet-url. #activeUrl is the URL being shown, or "".
   #parquetUrl;
+  #dataUrl;
+  #dataFormat;
+  #data;
+  #activeUrl;
   #fetchAbortController;
 
+  // Lazy Parquet columns: only the columns needed to draw are read up front,
+  // everything else is read per row range when a tooltip or event needs it.
+  #parquetReader;
+  #parquetSource;
+  // Handle for a parsed data-url file or the data input, whose columns the
+  // worker also keeps.
+  #parsedSource;
+  #loadedColumns;
+  #loadingColumns;
+  #rowHydrated;
+  #selectionSequence;
+  // Source whose row groups are still streaming in; column loads wait for it.
+  #streamingSource;
+
   // Manifest inputs
   #pointSize;
   #pointSizeSelected;
@@ -260,10 +528,53 @@ class RmxScatterplot extends HTMLElement {
   #backgroundColor;
   #lassoColor;
   #tooltipKey;
+  #tooltipKeys;
+  // Compiled `tooltip-template`, or null.
+  #tooltipTemplate;
+  #tooltipTemplateText;
   #clusterIdInput;
   #xOverride;
   #yOverride;
   #selectedClusterName;
+  #colorBy;
+  #colorType;
+  #colormap;
+  #colorDomain;
+  // Parsed `palette` (null = default hues), `palette-mode`, `cluster-colors`.
+  #paletteInput;
+  #paletteColors;
+  #paletteMode;
+  #clusterColors;
+  #sizeBy;
+  #sizeRange;
+  #sizeScale;
+  #searchQuery;
+  #searchKeys;
+  #filterExpression;
+  #zoomIds;
+  #zoomPadding;
+  #zoomTransition;
+  #zoomDuration;
+  // Camera state from the `view` input; #pendingView is applied on the next
+  // draw of new data in place of the automatic fit.
+  #view;
+  #pendingView;
+  #viewChangedTimer;
+  #lastViewKey;
+  #linkGroup;
+  #linkCamera;
+  #exportFormat;
+  #exportScale;
+  #exportLegend;
+  #idKeyInput;
+  #selectedIdsInput;
+  #hiddenClusters;
+  #selectedClusterNames;
+  #selectionPayloadMode;
+  #selectionColumns;
+  #selectionLimit;
+  #selectionExportFormat;
+  #selectionExportColumns;
 
   // Derived keys and indices
   #inferredXKey;
@@ -271,12 +582,43 @@ class RmxScatterplot extends HTMLElement {
   #effectiveXKey;
   #effectiveYKey;
   #effectiveClusterKey;
+  #effectiveColorKey;
+  #effectiveSizeKey;
+  #effectiveIdKey;
   #clusterToIndices;
+  #idToIndex;
+
+  // Selection persistence: the intended selection as row ids, re-applied after
+  // every data redraw because drawn point indices shift.
+  #selectedIds;
+  #pendingSelectionRestore;
+  #restoreSelectionIndices;
+  #restoreDeselectPending;
+
+  // Search state (aligned with drawn points)
+  #baseColorIndices;
+  #basePaletteSize;
+  #searchIndex;
+  #searchIndexKeys;
+  #searchMatches;
+  #searchDebounceTimer;
+
+  // Row filter
+  #compiledFilter;
+  #filterErrorKey;
+
+  // Point build in flight (see #redrawFromData), and whether to run another.
+  #pointBuild;
+  #pointBuildQueued;
 
   // Palette / legend caching
   #paletteAppliedKey;
+  #sizeAppliedKey;
   #legendAppliedKey;
   #lastNonEmptyLegendPayload;
+  // Latest legend entries and base palette, for image export.
+  #legendEntries;
+  #basePalette;
 
 
   // Draw scheduling
@@ -313,6 +655,47 @@ class RmxScatterplot extends HTMLElement {
 
     this.#labelsLayer = document.createElement("div");
     this.#labelsLayer.id = "labels";
+    this.#labelsLayer.addEventListener("click", (event) => {
+      const label = event.target.closest?.(".cluster-label");
+      if (label) this.#onClusterLabelClick(label.dataset.clusterId);
+    });
+    this.#labelsLayer.addEventListener("pointerover", (event) => {
+      const label = event.target.closest?.(".cluster-label");
+      if (label) this.#setHoveredLabelCluster(label.dataset.clusterId);
+    });
+    this.#labelsLayer.addEventListener("pointerout", (event) => {
+      const label = event.target.closest?.(".cluster-label");
+      if (label && !label.contains(event.relatedTarget)) this.#setHoveredLabelCluster(null);
+    });
+    // Labels sit above the canvas; keep the wheel zooming underneath them.
+    this.#labelsLayer.addEventListener(
+      "wheel",
+      (event) => {
+        event.preventDefault();
+        this.#canvas.dispatchEvent(new WheelEvent(event.type, event));
+      },
+      { passive: false }
+    );
+
+    this.#legend = document.createElement("div");
+    this.#legend.id = "legend";
+    this.#legend.style.display = "none";
+    this.#legend.addEventListener("click", (event) => {
+      const entry = event.target.closest?.(".legend-entry");
+      if (entry) this.#onLegendEntryClick(entry.dataset.clusterId);
+    });
+
+    this.#statusOverlay = document.createElement("div");
+    this.#statusOverlay.id = "status";
+    this.#statusOverlay.style.display = "none";
+    this.#statusText = document.createElement("div");
+    this.#statusText.className = "status-text";
+    const statusBar = document.createElement("div");
+    statusBar.className = "status-bar";
+    this.#statusBarFill = document.createElement("div");
+    this.#statusBarFill.className = "status-bar-fill";
+    statusBar.append(this.#statusBarFill);
+    this.#statusOverlay.append(this.#statusText, statusBar);
 
     const style = document.createElement("style");
     style.textContent = `
@@ -342,6 +725,42 @@ class RmxScatterplot extends HTMLElement {
         white-space: pre-wrap;
         word-break: break-word;
       }
+      #tooltip.rich {
+        font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial;
+        white-space: normal;
+      }
+      #tooltip .swatch {
+        display:inline-block;
+        width:10px; height:10px;
+        margin-right:6px;
+        border-radius:999px;
+        vertical-align:baseline;
+        background: rgba(255,255,255,0.5);
+      }
+      #tooltip .thumb {
+        display:block;
+        max-width:100%;
+        max-height:160px;
+        margin:4px 0;
+        border-radius:6px;
+        object-fit:cover;
+      }
+      #tooltip .tooltip-header {
+        font-weight:600;
+        margin-bottom:6px;
+      }
+      #tooltip .tooltip-rows { border-collapse:collapse; }
+      #tooltip .tooltip-rows th {
+        padding:1px 10px 1px 0;
+        text-align:left;
+        vertical-align:top;
+        font-weight:400;
+        color: rgba(255,255,255,0.6);
+        white-space:nowrap;
+      }
+      #tooltip .tooltip-rows td { padding:1px 0; }
+      #tooltip p, #tooltip h1, #tooltip h2, #tooltip h3, #tooltip h4 { margin:0 0 4px; }
+      #tooltip h1, #tooltip h2, #tooltip h3, #tooltip h4 { font-size:13px; }
 
       #labels {
         position:absolute;
@@ -366,49 +785,240 @@ class RmxScatterplot extends HTMLElement {
         overflow: hidden;
         text-overflow: ellipsis;
         box-shadow: 0 10px 24px rgba(0,0,0,0.25);
+        pointer-events:auto;
+        cursor:pointer;
+      }
+      .cluster-label:hover {
+        border-color: rgba(255,255,255,0.55);
+        background: rgba(0,0,0,0.78);
+      }
+
+      #legend {
+        position:absolute;
+        z-index:6;
+        max-width:min(260px, calc(100% - 24px));
+        max-height:calc(100% - 24px);
+        overflow:auto;
+        padding:6px;
+        border-radius:10px;
+        border:1px solid rgba(255,255,255,0.18);
+        background: rgba(0,0,0,0.70);
+        backdrop-filter: blur(6px);
+        color: rgba(255,255,255,0.92);
+        font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial;
+        font-size:12px;
+        line-height:1.35;
+        box-shadow: 0 10px 24px rgba(0,0,0,0.25);
+      }
+      #legend[data-position="top-right"] { top:12px; right:12px; }
+      #legend[data-position="top-left"] { top:12px; left:12px; }
+      #legend[data-position="bottom-right"] { bottom:12px; right:12px; }
+      #legend[data-position="bottom-left"] { bottom:12px; left:12px; }
+      .legend-entry {
+        display:flex;
+        align-items:center;
+        gap:6px;
+        padding:2px 6px;
+        border-radius:6px;
+        cursor:pointer;
+      }
+      .legend-entry:hover { background: rgba(255,255,255,0.10); }
+      .legend-entry.hidden-cluster { opacity:0.45; }
+      .legend-entry.noise-cluster .legend-name { font-style:italic; color:rgba(255,255,255,0.65); }
+      .legend-swatch {
+        flex:none;
+        width:10px; height:10px;
+        border-radius:999px;
+      }
+      .legend-name {
+        flex:1;
+        min-width:0;
+        overflow:hidden;
+        text-overflow:ellipsis;
+        white-space:nowrap;
+      }
+      .legend-count {
+        flex:none;
+        color: rgba(255,255,255,0.55);
+        font-variant-numeric: tabular-nums;
+      }
+
+      #status {
+        position:absolute;
+        left:50%; top:12px;
+        transform: translateX(-50%);
+        min-width:180px;
+        max-width: calc(100% - 24px);
+        pointer-events:none;
+        z-index:6;
+        padding: 8px 12px;
+        border-radius:10px;
+        border:1px solid rgba(255,255,255,0.18);
+        background: rgba(0,0,0,0.70);
+        backdrop-filter: blur(6px);
+        color: rgba(255,255,255,0.92);
+        font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial;
+        font-size:12px;
+        line-height:1.35;
+        box-shadow: 0 10px 24px rgba(0,0,0,0.25);
+      }
+      .status-bar {
+        margin-top:6px;
+        height:3px;
+        border-radius:999px;
+        background: rgba(255,255,255,0.15);
+        overflow:hidden;
+      }
+      .status-bar-fill {
+        height:100%;
+        width:0%;
+        background: rgba(255,255,255,0.85);
+        transition: width 120ms linear;
+      }
+      #status[data-kind="error"],
+      #status[data-kind="empty"] {
+        top:50%;
+        transform: translate(-50%, -50%);
+        max-width:420px;
+        text-align:center;
+      }
+      #status[data-kind="error"] {
+        border-color: rgba(255,110,110,0.55);
+      }
+      #status[data-kind="error"] .status-bar,
+      #status[data-kind="empty"] .status-bar {
+        display:none;
       }
     `;
 
     this.shadowRoot.append(style, this.#root);
-    this.#root.append(this.#canvas, this.#labelsLayer, this.#tooltip);
+    this.#root.append(this.#canvas, this.#labelsLayer, this.#legend, this.#statusOverlay, this.#tooltip);
 
     this.#scatterplot = null;
     this.#resizeObserver = null;
 
-    this.#rows = [];
-    this.#validRows = [];
-    this.#lastDrawnPoints = [];
+    this.#table = new ColumnTable();
+    this.#validRowSourceIndices = new Uint32Array(0);
+    this.#lastDrawnPoints = null;
 
     this.#parquetUrl = "";
+    this.#dataUrl = "";
+    this.#dataFormat = "auto";
+    this.#data = null;
+    this.#activeUrl = "";
     this.#fetchAbortController = null;
 
+    this.#parquetReader = null;
+    this.#parquetSource = null;
+    this.#parsedSource = null;
+    this.#loadedColumns = new Set();
+    this.#loadingColumns = new Set();
+    this.#rowHydrated = new Uint8Array(0);
+    this.#selectionSequence = 0;
+    this.#streamingSource = null;
+    this.#showStatusOverlay = true;
+    this.#showLegend = false;
+    this.#legendPosition = "top-right";
+    this.#legendClick = "select";
+    this.#positionErrorKey = "";
+    this.#drawFailed = false;
+
     this.#pointSize = 4;
     this.#pointSizeSelected = 6;
     this.#pointOpacity = 1;
     this.#backgroundColor = "#000000";
     this.#lassoColor = "#ffffff";
     this.#tooltipKey = "";
+    this.#tooltipKeys = [];
+    this.#tooltipTemplate = null;
+    this.#tooltipTemplateText = "";
     this.#clusterIdInput = "cluster_id";
     this.#xOverride = "projection_x";
     this.#yOverride = "projection_y";
     this.#selectedClusterName = "";
+    this.#colorBy = "";
+    this.#colorType = "auto";
+    this.#colormap = "viridis";
+    this.#colorDomain = "";
+    this.#paletteInput = "";
+    this.#paletteColors = null;
+    this.#paletteMode = "order";
+    this.#clusterColors = new Map();
+    this.#sizeBy = "";
+    this.#sizeRange = [2, 12];
+    this.#sizeScale = "linear";
+    this.#searchQuery = "";
+    this.#searchKeys = [];
+    this.#filterExpression = "";
+    this.#zoomIds = [];
+    this.#zoomPadding = 0.1;
+    this.#zoomTransition = true;
+    this.#zoomDuration = 500;
+    this.#idKeyInput = "";
+    this.#selectedIdsInput = [];
+    this.#hiddenClusters = [];
+    this.#selectedClusterNames = [];
+    this.#selectionPayloadMode = "full";
+    this.#selectionColumns = [];
+    this.#selectionLimit = 0;
+    this.#selectionExportFormat = "csv";
+    this.#selectionExportColumns = [];
 
     this.#showClusterLabels = true;
     this.#clusterLabelKeyOverride = "";
     this.#clusterIdToDisplayLabel = new Map();
     this.#labelElementsByCluster = new Map();
     this.#labelLayoutRaf = 0;
-    this.#warnedMissingScreenPos = false;
+    this.#clusterLabelAnchors = null;
+    this.#clusterLabelZoom = false;
+    this.#noiseClusterId = "-1";
+    this.#hideNoise = false;
+    this.#noisePaletteIndex = -1;
+    this.#hoveredLabelClusterId = null;
     this.#needsInitialFit = true;
+    this.#view = null;
+    this.#pendingView = null;
+    this.#viewChangedTimer = null;
+    this.#lastViewKey = "";
+    this.#linkGroup = "";
+    this.#linkCamera = false;
+    this.#exportFormat = "png";
+    this.#exportScale = 2;
+    this.#exportLegend = false;
 
     this.#inferredXKey = null;
     this.#inferredYKey = null;
     this.#effectiveXKey = null;
     this.#effectiveYKey = null;
     this.#effectiveClusterKey = null;
+    this.#effectiveColorKey = null;
+    this.#effectiveSizeKey = null;
+    this.#effectiveIdKey = null;
     this.#clusterToIndices = new Map();
+    this.#idToIndex = null;
+
+    this.#selectedIds = [];
+    this.#pendingSelectionRestore = false;
+    this.#restoreSelectionIndices = null;
+    this.#restoreDeselectPending = false;
+
+    this.#baseColorIndices = new Uint32Array(0);
+    this.#basePaletteSize = 0;
+    this.#basePalette = [];
+    this.#legendEntries = [];
+    this.#searchIndex = null;
+    this.#searchIndexKeys = "";
+    this.#searchMatches = null;
+    this.#searchDebounceTimer = null;
+
+    this.#compiledFilter = null;
+    this.#filterErrorKey = "";
+
+    this.#pointBuild = null;
+    this.#pointBuildQueued = false;
 
     this.#paletteAppliedKey = "";
+    this.#sizeAppliedKey = "";
     this.#legendAppliedKey = "";
 
     this.#pendingPoints = null;
@@ -443,6 +1053,11 @@ class RmxScatterplot extends HTMLElement {
    * Manifest in-event: "select-cluster"
    */
   ["select-cluster"]() {
+    if (this.#selectedClusterNames.length > 0) {
+      this.selectClusters(this.#selectedClusterNames);
+      return;
+    }
+
     const selected = this.#resolveClusterSelectionValue(this.#selectedClusterName);
     if (!selected || !this.#scatterplot) return;
 
@@ -455,6 +1070,211 @@ class RmxScatterplot extends HTMLElement {
     this.#scatterplot.select?.(indices);
   }
 
+  /**
+   * Select every point of several clusters (ids or display labels) at once.
+   * Hidden clusters contribute nothing.
+   */
+  selectClusters(clusterNames) {
+    if (!this.#scatterplot) return;
+
+    const indices = [];
+    for (const name of parseListInput(clusterNames)) {
+      const clusterId = this.#resolveClusterSelectionValue(name);
+      const clusterIndices = clusterId ? this.#clusterToIndices.get(clusterId) : null;
+      if (clusterIndices) indices.push(...clusterIndices);
+    }
+
+    if (indices.length === 0) {
+      this.#scatterplot.deselect?.();
+      return;
+    }
+
+    this.#scatterplot.select?.(indices);
+  }
+
+  /**
+   * Manifest in-event: "select-ids" (uses selected-ids)
+   */
+  ["select-ids"]() {
+    this.selectIds(this.#selectedIdsInput);
+  }
+
+  /**
+   * Select the points with the given row ids. An empty list clears the selection.
+   */
+  selectIds(ids) {
+    const requestedIds = parseListInput(ids);
+    if (!this.#scatterplot) {
+      this.#selectedIds = requestedIds;
+      return;
+    }
+
+    // Keep ids that aren't currently drawn (e.g. filtered out) so they come
+    // back with the selection once visible again.
+    this.#selectedIds = requestedIds;
+
+    const indices = this.#indicesForIds(requestedIds);
+    if (indices.length === 0) {
+      // Only the drawn selection goes; the deselect handler keeps the ids.
+      if ((this.#scatterplot.get?.("selectedPoints") || []).length > 0) {
+        this.#restoreDeselectPending = requestedIds.length > 0;
+        this.#scatterplot.deselect?.();
+      }
+      this.#broadcastSelection();
+      return;
+    }
+
+    this.#restoreSelectionIndices = new Set(indices);
+    this.#scatterplot.select?.(indices);
+    this.#broadcastSelection();
+  }
+
+  /**
+   * Manifest in-event: "zoom-to-cluster" (uses selected-cluster-name)
+   */
+  ["zoom-to-cluster"]() {
+    return this.zoomToCluster(this.#selectedClusterName);
+  }
+
+  /**
+   * Manifest in-event: "zoom-to-selection"
+   */
+  ["zoom-to-selection"]() {
+    return this.zoomToSelection();
+  }
+
+  /**
+   * Manifest in-event: "zoom-to-points" (uses zoom-ids)
+   */
+  ["zoom-to-points"]() {
+    return this.zoomToPoints(this.#zoomIds);
+  }
+
+  /**
+   * Manifest in-event: "reset-view"
+   */
+  ["reset-view"]() {
+    return this.resetView();
+  }
+
+  /**
+   * Zoom to every point of a cluster, given its id or display label.
+   */
+  zoomToCluster(clusterName, options = {}) {
+    const clusterId = this.#resolveClusterSelectionValue(clusterName);
+    const indices = clusterId ? this.#clusterToIndices.get(clusterId) || [] : [];
+    return this.#zoomToIndices(indices, options);
+  }
+
+  /**
+   * Zoom to the currently selected points.
+   */
+  zoomToSelection(options = {}) {
+    const selected = this.#scatterplot?.get?.("selectedPoints") || [];
+    return this.#zoomToIndices(Array.from(selected), options);
+  }
+
+  /**
+   * Zoom to the points with the given row ids (see `search-results` for the id rules).
+   */
+  zoomToPoints(ids, options = {}) {
+    return this.#zoomToIndices(this.#indicesForIds(parseListInput(ids)), options);
+  }
+
+  /**
+   * Fit the camera to all drawn points.
+   */
+  resetView(options = {}) {
+    return this.#fitToData(options);
+  }
+
+  /**
+   * Current camera state, shaped like the `view-changed` payload, or null
+   * before the scatterplot exists.
+   */
+  getView() {
+    return this.#currentView();
+  }
+
+  /**
+   * Manifest in-event: "export-image" (uses export-format, export-scale and export-legend)
+   */
+  ["export-image"]() {
+    return this.exportImage().catch((e) => {
+      // Nobody awaits an in-event, so the failure is reported as an event.
+      this.#emit("image-export-error", { format: this.#exportFormat, message: String(e?.message || e) });
+      return null;
+    });
+  }
+
+  /**
+   * Render the current view to an image and emit `image-exported`. Options
+   * default to the export-* inputs:
+   *   - format: "png" (the rendered frame) or "svg" (one circle per visible point)
+   *   - scale: PNG pixels per CSS pixel
+   *   - legend: draw the cluster legend in the top-right corner
+   *   - labels: include the cluster labels (defaults to show-cluster-labels)
+   *
+   * Resolves to the `image-exported` detail: `{ format, width, height, blob, dataUrl }`.
+   */
+  async exportImage(options = {}) {
+    const scatterplot = this.#scatterplot;
+    if (!scatterplot?.get?.("isPointsDrawn")) throw new Error("Nothing has been drawn yet");
+
+    const format = String(options.format ?? this.#exportFormat).trim().toLowerCase();
+    if (!IMAGE_FORMATS.includes(format)) throw new Error(`Unsupported image format "${format}"`);
+
+    const scale = Number(options.scale ?? this.#exportScale);
+    if (!(Number.isFinite(scale) && scale > 0)) throw new Error(`Invalid export scale "${options.scale}"`);
+
+    const width = this.#canvas.clientWidth;
+    const height = this.#canvas.clientHeight;
+    const overlays = {
+      width,
+      height,
+      background: this.#backgroundColor,
+      labels: parseBooleanInput(options.labels, this.#showClusterLabels) ? this.#visibleClusterLabels() : [],
+      legend: parseBooleanInput(options.legend, this.#exportLegend)
+        ? this.#legendEntries.filter((entry) => entry.visible)
+        : null,
+    };
+
+    let blob;
+    let pixelWidth = width;
+    let pixelHeight = height;
+    if (format === "svg") {
+      blob = composeSvg({ ...overlays, points: this.#visiblePointsForExport(width, height) });
+    } else {
+      // regl-scatterplot renders at devicePixelRatio on top of its own scale.
+      const frame = await scatterplot.export({ scale: scale / (window.devicePixelRatio || 1) });
+      blob = await composePng({ ...overlays, frame, scale });
+      pixelWidth = Math.max(1, Math.round(width * scale));
+      pixelHeight = Math.max(1, Math.round(height * scale));
+    }
+
+    const detail = { format, width: pixelWidth, height: pixelHeight, blob, dataUrl: await blobToDataUrl(blob) };
+    this.#emit("image-exported", detail);
+    return detail;
+  }
+
+  get view() {
+    return this.#view;
+  }
+  set view(value) {
+    this.#view = parseViewInput(value);
+    if (!this.#view) {
+      this.#pendingView = null;
+      return;
+    }
+
+    if (this.#scatterplot?.get?.("isPointsDrawn")) {
+      this.#pendingView = null;
+      this.#applyView(this.#view);
+    } else {
+      this.#pendingView = this.#view;
+    }
+  }
+
   get parquetUrl() {
     return this.#parquetUrl;
   }
@@ -463,13 +1283,55 @@ class RmxScatterplot extends HTMLElement {
     if (nextUrl === this.#parquetUrl) return;
 
     this.#parquetUrl = nextUrl;
+    // data and data-url take precedence; parquet-url only matters without them.
+    if (this.#data == null && !this.#dataUrl) this.#loadFromInputs();
+  }
 
-    if (nextUrl) {
-      this.#loadAndRedrawFromParquetUrl(nextUrl);
-    } else {
-      this.#rows = [];
-      this.#redrawFromData();
-    }
+  get dataUrl() {
+    return this.#dataUrl;
+  }
+  set dataUrl(value) {
+    const nextUrl = String(value || "").trim();
+    if (nextUrl === this.#dataUrl) return;
+
+    this.#dataUrl = nextUrl;
+    if (this.#data == null) this.#loadFromInputs();
+  }
+
+  get dataFormat() {
+    return this.#dataFormat;
+  }
+  set dataFormat(value) {
+    const text = String(value || "").trim().toLowerCase();
+    const nextFormat = DATA_FORMATS.includes(text) ? text : "auto";
+    if (nextFormat === this.#dataFormat) return;
+
+    this.#dataFormat = nextFormat;
+    if (this.#data == null && this.#dataUrl) this.#loadFromInputs();
+  }
+
+  /**
+   * Rows (array of objects) or columns (object of equal-length arrays) to
+   * draw directly, or JSON text of either. Every assignment reloads, so a
+   * mutated array can be re-assigned. Null falls back to the URL inputs.
+   * Property only; the attribute form is `data-json`.
+   */
+  get data() {
+    return this.#data;
+  }
+  set data(value) {
+    this.#data = value === undefined || value === "" ? null : value;
+    this.#loadFromInputs();
+  }
+
+  /**
+   * `data` as JSON text, for hosts that can only set attributes.
+   */
+  get dataJson() {
+    return typeof this.#data === "string" ? this.#data : "";
+  }
+  set dataJson(value) {
+    this.data = value;
   }
 
   get pointSize() {
@@ -483,8 +1345,9 @@ class RmxScatterplot extends HTMLElement {
 
     this.#pointSize = nextSize;
     if (this.#scatterplot) {
-      this.#scatterplot.set({ pointSize: nextSize });
-      if (this.#lastDrawnPoints.length > 0) this.#queueDraw(this.#lastDrawnPoints);
+      // With size-by active the per-value size ramp stays in place.
+      if (!this.#effectiveSizeKey) this.#scatterplot.set({ pointSize: nextSize });
+      if (this.#validRowSourceIndices.length > 0) this.#queueDraw(this.#lastDrawnPoints);
     } else {
       this.#initializeOrResize(true);
       this.#redrawFromData();
@@ -535,13 +1398,418 @@ class RmxScatterplot extends HTMLElement {
     this.#selectedClusterName = next;
   }
 
-  connectedCallback() {
-    this.#parquetUrl = readStringAttribute(this, "parquet-url", this.#parquetUrl);
+  get colorBy() {
+    return this.#colorBy;
+  }
+  set colorBy(value) {
+    const next = String(value || "").trim();
+    if (next === this.#colorBy) return;
 
-    const xAttribute = readStringAttribute(this, "x", "");
-    if (xAttribute) this.#xOverride = xAttribute;
+    this.#colorBy = next;
+    this.#paletteAppliedKey = "";
+    this.#redrawFromData();
+  }
 
-    const yAttribute = readStringAttribute(this, "y", "");
+  get colorType() {
+    return this.#colorType;
+  }
+  set colorType(value) {
+    const requested = String(value || "").trim().toLowerCase();
+    const next = ["categorical", "continuous"].includes(requested) ? requested : "auto";
+    if (next === this.#colorType) return;
+
+    this.#colorType = next;
+    this.#paletteAppliedKey = "";
+    this.#redrawFromData();
+  }
+
+  get colormap() {
+    return this.#colormap;
+  }
+  set colormap(value) {
+    const next = String(value || "").trim().toLowerCase() || "viridis";
+    if (next === this.#colormap) return;
+
+    this.#colormap = next;
+    this.#paletteAppliedKey = "";
+    this.#redrawFromData();
+  }
+
+  get colorDomain() {
+    return this.#colorDomain;
+  }
+  set colorDomain(value) {
+    const next = String(value || "").trim();
+    if (next === this.#colorDomain) return;
+
+    this.#colorDomain = next;
+    this.#paletteAppliedKey = "";
+    this.#redrawFromData();
+  }
+
+  get noiseClusterId() {
+    return this.#noiseClusterId;
+  }
+  set noiseClusterId(value) {
+    const next = String(value ?? "").trim();
+    if (next === this.#noiseClusterId) return;
+
+    this.#noiseClusterId = next;
+    this.#redrawFromData();
+  }
+
+  get hideNoise() {
+    return this.#hideNoise;
+  }
+  set hideNoise(value) {
+    const next = parseBooleanInput(value, false);
+    if (next === this.#hideNoise) return;
+
+    this.#hideNoise = next;
+    this.#redrawFromData();
+  }
+
+  get palette() {
+    return this.#paletteInput;
+  }
+  set palette(value) {
+    const next = Array.isArray(value) ? value.join(",") : String(value ?? "").trim();
+    if (next === this.#paletteInput) return;
+
+    this.#paletteInput = next;
+    this.#paletteColors = parsePaletteInput(value);
+    this.#redrawFromData();
+  }
+
+  get paletteMode() {
+    return this.#paletteMode;
+  }
+  set paletteMode(value) {
+    const requested = String(value || "").trim().toLowerCase();
+    const next = PALETTE_MODES.includes(requested) ? requested : "order";
+    if (next === this.#paletteMode) return;
+
+    this.#paletteMode = next;
+    this.#redrawFromData();
+  }
+
+  get clusterColors() {
+    return Object.fromEntries(this.#clusterColors);
+  }
+  set clusterColors(value) {
+    this.#clusterColors = parseClusterColors(value);
+    this.#redrawFromData();
+  }
+
+  get sizeBy() {
+    return this.#sizeBy;
+  }
+  set sizeBy(value) {
+    const next = String(value || "").trim();
+    if (next === this.#sizeBy) return;
+
+    this.#sizeBy = next;
+    this.#sizeAppliedKey = "";
+    this.#redrawFromData();
+  }
+
+  get sizeRange() {
+    return this.#sizeRange.join(",");
+  }
+  set sizeRange(value) {
+    const next = parseSizeRange(Array.isArray(value) ? value.join(",") : value);
+    if (next[0] === this.#sizeRange[0] && next[1] === this.#sizeRange[1]) return;
+
+    this.#sizeRange = next;
+    this.#sizeAppliedKey = "";
+    this.#redrawFromData();
+  }
+
+  get sizeScale() {
+    return this.#sizeScale;
+  }
+  set sizeScale(value) {
+    const requested = String(value || "").trim().toLowerCase();
+    const next = SIZE_SCALES.includes(requested) ? requested : "linear";
+    if (next === this.#sizeScale) return;
+
+    this.#sizeScale = next;
+    this.#sizeAppliedKey = "";
+    this.#redrawFromData();
+  }
+
+  get searchQuery() {
+    return this.#searchQuery;
+  }
+  set searchQuery(value) {
+    const next = String(value ?? "").trim();
+    if (next === this.#searchQuery) return;
+
+    this.#searchQuery = next;
+    this.#scheduleSearch();
+  }
+
+  get searchKeys() {
+    return [...this.#searchKeys];
+  }
+  set searchKeys(value) {
+    const next = parseListInput(value);
+    if (next.join("\u0000") === this.#searchKeys.join("\u0000")) return;
+
+    this.#searchKeys = next;
+    this.#searchIndex = null;
+    if (this.#searchQuery) this.#scheduleSearch();
+  }
+
+  get showLegend() {
+    return this.#showLegend;
+  }
+  set showLegend(value) {
+    this.#showLegend = parseBooleanInput(value, false);
+    this.#renderLegend();
+  }
+
+  get legendPosition() {
+    return this.#legendPosition;
+  }
+  set legendPosition(value) {
+    const requested = String(value || "").trim().toLowerCase();
+    this.#legendPosition = LEGEND_POSITIONS.includes(requested) ? requested : "top-right";
+    this.#legend.dataset.position = this.#legendPosition;
+  }
+
+  get legendClick() {
+    return this.#legendClick;
+  }
+  set legendClick(value) {
+    const requested = String(value || "").trim().toLowerCase();
+    this.#legendClick = LEGEND_CLICK_ACTIONS.includes(requested) ? requested : "select";
+  }
+
+  get tooltipKeys() {
+    return [...this.#tooltipKeys];
+  }
+  set tooltipKeys(value) {
+    this.#tooltipKeys = parseListInput(value);
+  }
+
+  get tooltipTemplate() {
+    return this.#tooltipTemplateText;
+  }
+  set tooltipTemplate(value) {
+    this.#tooltipTemplateText = String(value ?? "");
+    this.#tooltipTemplate = this.#tooltipTemplateText.trim()
+      ? compileTooltipTemplate(this.#tooltipTemplateText)
+      : null;
+  }
+
+  get filter() {
+    return this.#filterExpression;
+  }
+  set filter(value) {
+    const next = String(value ?? "").trim();
+    if (next === this.#filterExpression) return;
+
+    this.#filterExpression = next;
+    this.#compileFilter();
+    this.#redrawFromData();
+  }
+
+  get selectionPayload() {
+    return this.#selectionPayloadMode;
+  }
+  set selectionPayload(value) {
+    const requested = String(value || "").trim().toLowerCase();
+    this.#selectionPayloadMode = SELECTION_PAYLOAD_MODES.includes(requested) ? requested : "full";
+    // `columns` mode reads its columns up front, like the other required ones.
+    this.#loadMissingColumns();
+  }
+
+  get selectionColumns() {
+    return [...this.#selectionColumns];
+  }
+  set selectionColumns(value) {
+    this.#selectionColumns = parseListInput(value);
+    this.#loadMissingColumns();
+  }
+
+  get selectionLimit() {
+    return this.#selectionLimit;
+  }
+  set selectionLimit(value) {
+    const parsed = Math.floor(Number(value));
+    this.#selectionLimit = Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+  }
+
+  get selectionExportFormat() {
+    return this.#selectionExportFormat;
+  }
+  set selectionExportFormat(value) {
+    const requested = String(value || "").trim().toLowerCase();
+    this.#selectionExportFormat = SELECTION_EXPORT_FORMATS.includes(requested) ? requested : "csv";
+  }
+
+  get selectionExportColumns() {
+    return [...this.#selectionExportColumns];
+  }
+  set selectionExportColumns(value) {
+    this.#selectionExportColumns = parseListInput(value);
+  }
+
+  /**
+   * Manifest in-event: "export-selection" (uses selection-export-format and selection-export-columns)
+   */
+  ["export-selection"]() {
+    return this.exportSelection().catch((e) => {
+      this.#emit("selection-export-error", {
+        format: this.#selectionExportFormat,
+        message: String(e?.message || e),
+      });
+      return null;
+    });
+  }
+
+  /**
+   * Encode the selected rows as a file and emit `selection-exported`.
+   * `options` may set `format` and `columns`, overriding the
+   * selection-export-* inputs; no columns means every column.
+   *
+   * Resolves to the `selection-exported` detail: `{ format, count, columns, blob }`.
+   */
+  async exportSelection(options = {}) {
+    const format = String(options.format ?? this.#selectionExportFormat).trim().toLowerCase();
+    if (!SELECTION_EXPORT_FORMATS.includes(format)) throw new Error(`Unsupported export format "${format}"`);
+
+    const requestedColumns = parseListInput(options.columns ?? this.#selectionExportColumns);
+    const columns =
+      requestedColumns.length > 0
+        ? requestedColumns.map((name) => this.#table.resolve(name) ?? name)
+        : [...this.#table.columnNames];
+
+    const selected = Array.from(this.#scatterplot?.get?.("selectedPoints") || []).filter(
+      (index) => index >= 0 && index < this.#validRowSourceIndices.length
+    );
+    await this.#hydrateValidRows(selected);
+
+    // Raw values, so the encoder can keep dates and bigints typed.
+    const rows = selected.map((index) => this.#drawnRow(index));
+    const detail = { format, count: rows.length, columns, blob: encodeRows(rows, columns, format) };
+    this.#emit("selection-exported", detail);
+    return detail;
+  }
+
+  /**
+   * Full rows (JSON-safe) for the given row ids, in the order requested.
+   * Ids that aren't currently drawn are skipped.
+   */
+  async fetchRowsByIds(ids) {
+    const indices = this.#indicesForIds(parseListInput(ids));
+    await this.#hydrateValidRows(indices);
+
+    return indices
+      .map((index) => this.#drawnRow(index))
+      .filter(Boolean)
+      .map((row) => jsonSafe(row));
+  }
+
+  get hiddenClusters() {
+    return [...this.#hiddenClusters];
+  }
+  set hiddenClusters(value) {
+    const next = parseListInput(value);
+    if (next.join("\u0000") === this.#hiddenClusters.join("\u0000")) return;
+
+    this.#hiddenClusters = next;
+    this.#redrawFromData();
+  }
+
+  get selectedClusterNames() {
+    return [...this.#selectedClusterNames];
+  }
+  set selectedClusterNames(value) {
+    this.#selectedClusterNames = parseListInput(value);
+  }
+
+  get idKey() {
+    return this.#idKeyInput;
+  }
+  set idKey(value) {
+    const next = String(value || "").trim();
+    if (next === this.#idKeyInput) return;
+
+    this.#idKeyInput = next;
+    this.#redrawFromData();
+  }
+
+  get selectedIds() {
+    return [...this.#selectedIdsInput];
+  }
+  set selectedIds(value) {
+    this.#selectedIdsInput = parseListInput(value);
+  }
+
+  get linkGroup() {
+    return this.#linkGroup;
+  }
+  set linkGroup(value) {
+    const next = String(value || "").trim();
+    if (next === this.#linkGroup) return;
+
+    this.#leaveLinkGroup();
+    this.#linkGroup = next;
+    if (this.isConnected) this.#joinLinkGroup();
+  }
+
+  get linkCamera() {
+    return this.#linkCamera;
+  }
+  set linkCamera(value) {
+    this.#linkCamera = parseBooleanInput(value, false);
+  }
+
+  get exportFormat() {
+    return this.#exportFormat;
+  }
+  set exportFormat(value) {
+    const format = String(value || "").trim().toLowerCase();
+    this.#exportFormat = IMAGE_FORMATS.includes(format) ? format : "png";
+  }
+
+  get exportScale() {
+    return this.#exportScale;
+  }
+  set exportScale(value) {
+    const scale = Number(value);
+    this.#exportScale = Number.isFinite(scale) && scale > 0 ? scale : 2;
+  }
+
+  get exportLegend() {
+    return this.#exportLegend;
+  }
+  set exportLegend(value) {
+    this.#exportLegend = parseBooleanInput(value, false);
+  }
+
+  get zoomIds() {
+    return [...this.#zoomIds];
+  }
+  set zoomIds(value) {
+    this.#zoomIds = parseListInput(value);
+  }
+
+  connectedCallback() {
+    this.#parquetUrl = readStringAttribute(this, "parquet-url", this.#parquetUrl);
+    this.#dataUrl = readStringAttribute(this, "data-url", this.#dataUrl);
+    if (this.hasAttribute("data-json")) this.#data = this.getAttribute("data-json") || null;
+    if (this.hasAttribute("data-format")) {
+      const formatAttr = readStringAttribute(this, "data-format", "").toLowerCase();
+      this.#dataFormat = DATA_FORMATS.includes(formatAttr) ? formatAttr : "auto";
+    }
+
+    const xAttribute = readStringAttribute(this, "x", "");
+    if (xAttribute) this.#xOverride = xAttribute;
+
+    const yAttribute = readStringAttribute(this, "y", "");
     if (yAttribute) this.#yOverride = yAttribute;
 
     this.#pointSize = readNumberAttribute(this, "point-size", this.#pointSize);
@@ -556,10 +1824,86 @@ class RmxScatterplot extends HTMLElement {
 
     const tooltipAttr = readStringAttribute(this, "tooltip-key", "");
     if (tooltipAttr) this.#tooltipKey = tooltipAttr;
+    if (this.hasAttribute("tooltip-keys")) this.tooltipKeys = this.getAttribute("tooltip-keys");
+    if (this.hasAttribute("tooltip-template")) this.tooltipTemplate = this.getAttribute("tooltip-template");
 
     const clusterIdAttribute = readStringAttribute(this, "cluster-id", "");
     if (clusterIdAttribute) this.#clusterIdInput = clusterIdAttribute;
 
+    this.#colorBy = readStringAttribute(this, "color-by", this.#colorBy);
+    this.#colormap = readStringAttribute(this, "colormap", this.#colormap).toLowerCase() || "viridis";
+    this.#colorDomain = readStringAttribute(this, "color-domain", this.#colorDomain);
+    if (this.hasAttribute("palette")) {
+      this.#paletteInput = readStringAttribute(this, "palette", "");
+      this.#paletteColors = parsePaletteInput(this.#paletteInput);
+    }
+    if (this.hasAttribute("palette-mode")) {
+      const modeAttr = readStringAttribute(this, "palette-mode", "").toLowerCase();
+      this.#paletteMode = PALETTE_MODES.includes(modeAttr) ? modeAttr : "order";
+    }
+    if (this.hasAttribute("cluster-colors")) {
+      this.#clusterColors = parseClusterColors(this.getAttribute("cluster-colors"));
+    }
+
+    this.#sizeBy = readStringAttribute(this, "size-by", this.#sizeBy);
+    this.#sizeRange = parseSizeRange(readStringAttribute(this, "size-range", ""), this.#sizeRange);
+
+    const sizeScaleAttr = readStringAttribute(this, "size-scale", "").toLowerCase();
+    if (sizeScaleAttr) {
+      this.#sizeScale = SIZE_SCALES.includes(sizeScaleAttr) ? sizeScaleAttr : "linear";
+    }
+
+    this.#searchQuery = readStringAttribute(this, "search-query", this.#searchQuery);
+    if (this.hasAttribute("search-keys")) {
+      this.#searchKeys = parseListInput(this.getAttribute("search-keys"));
+    }
+
+    const filterAttr = readStringAttribute(this, "filter", this.#filterExpression);
+    if (filterAttr !== this.#filterExpression) {
+      this.#filterExpression = filterAttr;
+      this.#compileFilter();
+    }
+
+    this.#idKeyInput = readStringAttribute(this, "id-key", this.#idKeyInput);
+    if (this.hasAttribute("selection-payload")) this.selectionPayload = this.getAttribute("selection-payload");
+    if (this.hasAttribute("selection-columns")) this.selectionColumns = this.getAttribute("selection-columns");
+    if (this.hasAttribute("selection-limit")) this.selectionLimit = this.getAttribute("selection-limit");
+    if (this.hasAttribute("selection-export-format")) {
+      this.selectionExportFormat = this.getAttribute("selection-export-format");
+    }
+    if (this.hasAttribute("selection-export-columns")) {
+      this.selectionExportColumns = this.getAttribute("selection-export-columns");
+    }
+
+    if (this.hasAttribute("hidden-clusters")) {
+      this.#hiddenClusters = parseListInput(this.getAttribute("hidden-clusters"));
+    }
+    if (this.hasAttribute("selected-cluster-names")) {
+      this.#selectedClusterNames = parseListInput(this.getAttribute("selected-cluster-names"));
+    }
+    if (this.hasAttribute("selected-ids")) {
+      this.#selectedIdsInput = parseListInput(this.getAttribute("selected-ids"));
+    }
+
+    if (this.hasAttribute("zoom-ids")) this.#zoomIds = parseListInput(this.getAttribute("zoom-ids"));
+    this.#linkGroup = readStringAttribute(this, "link-group", this.#linkGroup);
+    this.#linkCamera = parseBooleanInput(this.getAttribute("link-camera"), this.#linkCamera);
+    if (this.hasAttribute("export-format")) this.exportFormat = this.getAttribute("export-format");
+    if (this.hasAttribute("export-scale")) this.exportScale = this.getAttribute("export-scale");
+    this.#exportLegend = parseBooleanInput(this.getAttribute("export-legend"), this.#exportLegend);
+    if (this.hasAttribute("view")) {
+      this.#view = parseViewInput(this.getAttribute("view"));
+      this.#pendingView = this.#view;
+    }
+    this.#zoomPadding = Math.max(0, readNumberAttribute(this, "zoom-padding", this.#zoomPadding));
+    this.#zoomDuration = Math.max(0, readNumberAttribute(this, "zoom-duration", this.#zoomDuration));
+    this.#zoomTransition = parseBooleanInput(this.getAttribute("zoom-transition"), this.#zoomTransition);
+
+    const colorTypeAttr = readStringAttribute(this, "color-type", "").toLowerCase();
+    if (colorTypeAttr) {
+      this.#colorType = ["categorical", "continuous"].includes(colorTypeAttr) ? colorTypeAttr : "auto";
+    }
+
     this.#selectedClusterName = readStringAttribute(
       this,
       "selected-cluster-name",
@@ -573,6 +1917,14 @@ class RmxScatterplot extends HTMLElement {
     }
 
     this.#clusterLabelKeyOverride = readStringAttribute(this, "cluster-label-key", this.#clusterLabelKeyOverride);
+    this.#clusterLabelZoom = parseBooleanInput(this.getAttribute("cluster-label-zoom"), this.#clusterLabelZoom);
+    if (this.hasAttribute("noise-cluster-id")) this.#noiseClusterId = readStringAttribute(this, "noise-cluster-id", "");
+    this.#hideNoise = parseBooleanInput(this.getAttribute("hide-noise"), this.#hideNoise);
+    this.#showStatusOverlay = parseBooleanInput(this.getAttribute("show-status-overlay"), this.#showStatusOverlay);
+    this.#showLegend = parseBooleanInput(this.getAttribute("show-legend"), this.#showLegend);
+    if (this.hasAttribute("legend-position")) this.legendPosition = this.getAttribute("legend-position");
+    if (this.hasAttribute("legend-click")) this.legendClick = this.getAttribute("legend-click");
+    this.#renderLegend();
 
     this.#initializeOrResize(true);
 
@@ -585,12 +1937,12 @@ class RmxScatterplot extends HTMLElement {
     this.#canvas.addEventListener("pointermove", () => this.#scheduleClusterLabelLayout());
     this.#canvas.addEventListener("pointerup", () => this.#scheduleClusterLabelLayout());
 
-    if (this.#parquetUrl) this.#loadAndRedrawFromParquetUrl(this.#parquetUrl);
-    else this.#redrawFromData();
+    this.#loadFromInputs();
+    this.#joinLinkGroup();
 
     this.#resizeObserver = new ResizeObserver(() => {
       this.#initializeOrResize(false);
-      if (this.#lastDrawnPoints.length > 0) {
+      if (this.#validRowSourceIndices.length > 0) {
         this.#queueDraw(this.#lastDrawnPoints);
         this.#scheduleClusterLabelLayout(false);
       }
@@ -623,6 +1975,12 @@ class RmxScatterplot extends HTMLElement {
 
     this.#hideTooltip();
 
+    clearTimeout(this.#searchDebounceTimer);
+    this.#searchDebounceTimer = null;
+    clearTimeout(this.#viewChangedTimer);
+    this.#viewChangedTimer = null;
+    this.#leaveLinkGroup();
+
     try {
       this.#fetchAbortController?.abort();
     } catch {
@@ -630,6 +1988,13 @@ class RmxScatterplot extends HTMLElement {
     }
     this.#fetchAbortController = null;
 
+    // Decoded sources live in the worker; connectedCallback reloads.
+    this.#parquetReader?.terminate();
+    this.#parquetReader = null;
+    this.#parquetSource = null;
+    this.#parsedSource = null;
+    this.#streamingSource = null;
+
     try {
       this.#scatterplot?.destroy?.();
     } catch {
@@ -650,6 +2015,15 @@ class RmxScatterplot extends HTMLElement {
       case "parquet-url":
         this.parquetUrl = newValue;
         break;
+      case "data-url":
+        this.dataUrl = newValue;
+        break;
+      case "data-format":
+        this.dataFormat = newValue;
+        break;
+      case "data-json":
+        this.dataJson = newValue;
+        break;
       case "x":
         this.x = newValue;
         break;
@@ -673,6 +2047,28 @@ class RmxScatterplot extends HTMLElement {
         this.#clusterLabelKeyOverride = String(newValue || "").trim();
         this.#scheduleClusterLabelLayout(true);
         break;
+      case "cluster-label-zoom":
+        this.#clusterLabelZoom = parseBooleanInput(newValue, false);
+        break;
+      case "noise-cluster-id":
+        this.noiseClusterId = newValue;
+        break;
+      case "hide-noise":
+        this.hideNoise = newValue;
+        break;
+      case "show-legend":
+        this.showLegend = newValue;
+        break;
+      case "legend-position":
+        this.legendPosition = newValue;
+        break;
+      case "legend-click":
+        this.legendClick = newValue;
+        break;
+      case "show-status-overlay":
+        this.#showStatusOverlay = parseBooleanInput(newValue, true);
+        if (!this.#showStatusOverlay) this.#setStatus(null);
+        break;
       case "point-size-selected": {
         const v = Number(newValue);
         if (Number.isFinite(v) && v > 0) {
@@ -707,15 +2103,152 @@ class RmxScatterplot extends HTMLElement {
       case "tooltip-key":
         this.#tooltipKey = String(newValue || "").trim();
         break;
+      case "tooltip-keys":
+        this.tooltipKeys = newValue;
+        break;
+      case "tooltip-template":
+        this.tooltipTemplate = newValue;
+        break;
+      case "color-by":
+        this.colorBy = newValue;
+        break;
+      case "color-type":
+        this.colorType = newValue;
+        break;
+      case "colormap":
+        this.colormap = newValue;
+        break;
+      case "color-domain":
+        this.colorDomain = newValue;
+        break;
+      case "palette":
+        this.palette = newValue;
+        break;
+      case "palette-mode":
+        this.paletteMode = newValue;
+        break;
+      case "cluster-colors":
+        this.clusterColors = newValue;
+        break;
+      case "size-by":
+        this.sizeBy = newValue;
+        break;
+      case "size-range":
+        this.sizeRange = newValue;
+        break;
+      case "size-scale":
+        this.sizeScale = newValue;
+        break;
+      case "search-query":
+        this.searchQuery = newValue;
+        break;
+      case "search-keys":
+        this.searchKeys = newValue;
+        break;
+      case "filter":
+        this.filter = newValue;
+        break;
+      case "zoom-ids":
+        this.zoomIds = newValue;
+        break;
+      case "id-key":
+        this.idKey = newValue;
+        break;
+      case "selected-ids":
+        this.selectedIds = newValue;
+        break;
+      case "hidden-clusters":
+        this.hiddenClusters = newValue;
+        break;
+      case "selection-payload":
+        this.selectionPayload = newValue;
+        break;
+      case "selection-columns":
+        this.selectionColumns = newValue;
+        break;
+      case "selection-limit":
+        this.selectionLimit = newValue;
+        break;
+      case "selection-export-format":
+        this.selectionExportFormat = newValue;
+        break;
+      case "selection-export-columns":
+        this.selectionExportColumns = newValue;
+        break;
+      case "selected-cluster-names":
+        this.selectedClusterNames = newValue;
+        break;
+      case "zoom-padding": {
+        const v = Number(newValue);
+        if (Number.isFinite(v) && v >= 0) this.#zoomPadding = v;
+        break;
+      }
+      case "zoom-transition":
+        this.#zoomTransition = parseBooleanInput(newValue, true);
+        break;
+      case "zoom-duration": {
+        const v = Number(newValue);
+        if (Number.isFinite(v) && v >= 0) this.#zoomDuration = v;
+        break;
+      }
+      case "view":
+        this.view = newValue;
+        break;
+      case "link-group":
+        this.linkGroup = newValue;
+        break;
+      case "link-camera":
+        this.linkCamera = newValue;
+        break;
+      case "export-format":
+        this.exportFormat = newValue;
+        break;
+      case "export-scale":
+        this.exportScale = newValue;
+        break;
+      case "export-legend":
+        this.exportLegend = newValue;
+        break;
       default:
         break;
     }
   }
 
-  async #loadAndRedrawFromParquetUrl(url) {
-    const trimmedUrl = String(url || "").trim();
-    if (!trimmedUrl) return;
+  /**
+   * (Re)load from `data`, else data-url, else parquet-url. Parquet streams by
+   * row group; other formats are fetched and parsed whole.
+   */
+  #loadFromInputs() {
+    if (this.#data != null) {
+      this.#activeUrl = "";
+      this.#loadAndRedrawFromData(this.#data);
+      return;
+    }
+
+    const url = this.#dataUrl || this.#parquetUrl;
+    this.#activeUrl = url;
+
+    if (!url) {
+      this.#fetchAbortController?.abort();
+      this.#setStatus(null);
+      this.#closeSources();
+      this.#table = new ColumnTable();
+      this.#redrawFromData();
+      return;
+    }
 
+    let format = "parquet";
+    if (this.#dataUrl) format = this.#dataFormat === "auto" ? formatFromUrl(url) : this.#dataFormat;
+
+    if (format === "parquet") this.#loadAndRedrawFromParquetUrl(url);
+    else this.#loadAndRedrawFromDataUrl(url, format);
+  }
+
+  /**
+   * Abort any load in flight and announce a new one. `isStale()` turns true
+   * once another load starts or the source inputs change.
+   */
+  #beginLoad(url) {
     try {
       this.#fetchAbortController?.abort();
     } catch {
@@ -723,60 +2256,441 @@ class RmxScatterplot extends HTMLElement {
     }
     this.#fetchAbortController = new AbortController();
 
-    try {
-      const loadedRows = await this.#fetchRowsFromParquetUrl(
-        trimmedUrl,
-        this.#fetchAbortController.signal
-      );
+    const signal = this.#fetchAbortController.signal;
+    this.#emit("load-started", { url });
+    this.#setStatus({ message: "Loading…", progress: null });
 
-      // If the attribute changed while we were loading, drop the result.
-      if (trimmedUrl !== this.#parquetUrl) return;
+    return { signal, isStale: () => url !== this.#activeUrl || signal.aborted };
+  }
 
-      this.#rows = Array.isArray(loadedRows) ? loadedRows : [];
-      this.#inferXYKeys();
+  /**
+   * Swap in a fully loaded table (no lazy Parquet columns).
+   */
+  #replaceTable(table) {
+    this.#closeSources();
+    this.#table = table;
+    this.#loadedColumns = new Set(table.columnNames);
+    this.#loadingColumns = new Set();
+    this.#rowHydrated = new Uint8Array(0);
+    this.#resetDerivedState();
+  }
 
-      this.#paletteAppliedKey = "";
-      this.#legendAppliedKey = "";
+  // Keys inferred from, or applied for, the previous data. New data is fitted
+  // on its first draw, or gets the `view` input re-applied instead. Later
+  // redraws (filters, hidden clusters, colors) keep the camera.
+  #resetDerivedState() {
+    this.#needsInitialFit = true;
+    this.#pendingView = this.#view;
+    this.#inferredXKey = null;
+    this.#inferredYKey = null;
+    this.#positionErrorKey = "";
+    this.#paletteAppliedKey = "";
+    this.#legendAppliedKey = "";
+  }
 
-      this.#redrawFromData();
-    } catch (error) {
-      if (error?.name === "AbortError") return;
+  #finishLoad(url, format, columns) {
+    // Streamed data was fitted to its first row groups; fit the whole of it.
+    if (this.#streamingSource) {
+      this.#needsInitialFit = true;
+      this.#pendingView = this.#view;
+    }
+    this.#streamingSource = null;
+    this.#inferXYKeys();
+    this.#paletteAppliedKey = "";
+    this.#legendAppliedKey = "";
+    this.#setStatus(null);
 
-      console.warn("rmx-scatterplot: failed to load parquet-url", error);
-      this.#rows = [];
-      this.#redrawFromData();
+    this.#redrawFromData();
+    this.#emit("loaded", { url, format, rowCount: this.#table.rowCount, columns });
+
+    if (this.#table.rowCount === 0) {
+      const message = url ? "The file contains no rows" : "The data input contains no rows";
+      this.#reportLoadError(new LoadError("empty", message, { url }));
+    }
+  }
+
+  #failLoad(error, url, format) {
+    this.#streamingSource = null;
+    this.#closeSources();
+    this.#table = new ColumnTable();
+    this.#redrawFromData();
+    this.#reportLoadError(toLoadError(error, url, format));
+  }
+
+  async #loadAndRedrawFromParquetUrl(url) {
+    const trimmedUrl = String(url || "").trim();
+    if (!trimmedUrl) return;
+
+    // If the inputs change while we're loading, drop the result.
+    const { isStale } = this.#beginLoad(trimmedUrl);
+
+    try {
+      const reader = this.#getParquetReader();
+      const source = await reader.open(trimmedUrl);
+      if (isStale()) {
+        reader.close(source);
+        return;
+      }
+
+      const columns = this.#requiredColumns(source);
+      const totalRows = source.numRows;
+
+      this.#closeSources();
+      this.#parquetSource = source;
+      this.#streamingSource = source;
+      this.#loadedColumns = new Set(columns);
+      this.#loadingColumns = new Set();
+      this.#table = new ColumnTable(source.columnNames);
+      this.#rowHydrated = new Uint8Array(totalRows);
+      this.#resetDerivedState();
+      this.#reportLoadProgress(trimmedUrl, 0, totalRows);
+
+      // Decode one row group at a time so points appear while the rest streams.
+      let rowStart = 0;
+      let lastRedrawAt = performance.now();
+      for (const rowGroupSize of source.rowGroupSizes) {
+        const rowEnd = rowStart + rowGroupSize;
+        const range = await reader.read(source, columns, rowStart, rowEnd);
+        if (isStale()) return;
+
+        this.#table.appendRange(range);
+        rowStart = rowEnd;
+        this.#reportLoadProgress(trimmedUrl, this.#table.rowCount, totalRows);
+
+        const now = performance.now();
+        if (rowEnd < totalRows && now - lastRedrawAt >= PROGRESS_REDRAW_MS) {
+          lastRedrawAt = now;
+          if (!this.#inferredXKey) this.#inferXYKeys();
+          this.#redrawFromData();
+        }
+      }
+
+      this.#finishLoad(trimmedUrl, "parquet", columns);
+    } catch (error) {
+      if (error?.name === "AbortError" || isStale()) return;
+      this.#failLoad(error, trimmedUrl, "parquet");
     }
   }
 
-  async #fetchRowsFromParquetUrl(url, signal) {
-    // Don't pass signal to asyncBufferFromUrl — hyparquet forwards it to the
-    // HEAD request for byte-length, which gets aborted by connectedCallback's
-    // abort-and-restart pattern, killing the entire load. Check manually after.
-    const file = await asyncBufferFromUrl({
-      url,
-      requestInit: {
+  /**
+   * Fetch a whole CSV/JSON/NDJSON/Arrow (or unstreamed Parquet) file and parse
+   * it off the main thread. A null `format` is detected from the response's
+   * Content-Type, then from the bytes.
+   */
+  async #loadAndRedrawFromDataUrl(url, format) {
+    const { signal, isStale } = this.#beginLoad(url);
+    let resolvedFormat = format;
+
+    try {
+      const response = await fetch(url, {
+        signal,
         credentials: "omit",
         mode: "cors",
         cache: "no-store",
-      },
+      });
+      if (!response.ok) throw new Error(`fetch failed ${response.status}`);
+
+      const buffer = await response.arrayBuffer();
+      if (isStale()) return;
+
+      resolvedFormat =
+        format ||
+        formatFromContentType(response.headers.get("content-type")) ||
+        sniffFormat(new Uint8Array(buffer));
+
+      const reader = this.#getParquetReader();
+      const parsed = await reader.parse(buffer, resolvedFormat);
+      if (isStale()) {
+        reader.close(parsed);
+        return;
+      }
+
+      const table = new ColumnTable(parsed.columnNames);
+      table.appendRange(parsed);
+      this.#replaceTable(table);
+      this.#parsedSource = { id: parsed.id };
+
+      this.#finishLoad(url, resolvedFormat, parsed.columnNames);
+    } catch (error) {
+      if (error?.name === "AbortError" || isStale()) return;
+      this.#failLoad(error, url, resolvedFormat);
+    }
+  }
+
+  /**
+   * Draw rows or columns held in memory. Load events report `url: null` and
+   * `format: "data"`.
+   */
+  #loadAndRedrawFromData(data) {
+    this.#beginLoad(null);
+
+    let range;
+    try {
+      range = columnarFromRecords(typeof data === "string" ? JSON.parse(data) : data);
+    } catch (error) {
+      const message = String(error?.message || error);
+      this.#failLoad(
+        new LoadError("invalid-data", `Could not read the data input (${message})`, {
+          url: null,
+          format: "data",
+          cause: message,
+        }),
+        null,
+        "data"
+      );
+      return;
+    }
+
+    const table = new ColumnTable(range.columnNames);
+    table.appendRange(range);
+    this.#replaceTable(table);
+    // The table copied the columns, so their buffers can go to the worker.
+    this.#parsedSource = this.#getParquetReader().load(range);
+
+    this.#finishLoad(null, "data", table.columnNames);
+  }
+
+  /**
+   * Emit `load-error` and, unless `showStatus` is false (for failures the
+   * chart can draw around), show it in the status overlay.
+   */
+  #reportLoadError(loadError, { showStatus = true } = {}) {
+    this.#emit("load-error", {
+      code: loadError.code,
+      message: loadError.message,
+      details: loadError.details,
+    });
+    if (!showStatus) return;
+    this.#setStatus({
+      kind: loadError.code === "empty" ? "empty" : "error",
+      message: loadError.code === "empty" ? "No data to display" : loadError.message,
+    });
+  }
+
+  /**
+   * Report x/y columns missing from the loaded rows as a `missing-columns`
+   * load error, once per missing pair; clears the error once they resolve.
+   */
+  #checkPositionColumns(xKey, yKey) {
+    // Wait for the full file; the progress overlay owns the status meanwhile.
+    if (this.#streamingSource) return;
+
+    const table = this.#table;
+    const missing = table.rowCount > 0 ? [xKey, yKey].filter((key) => !table.has(key)) : [];
+    const errorKey = missing.join("\u0000");
+    if (errorKey === this.#positionErrorKey) return;
+
+    const hadError = Boolean(this.#positionErrorKey);
+    this.#positionErrorKey = errorKey;
+
+    if (missing.length === 0) {
+      if (hadError) this.#setStatus(null);
+      return;
+    }
+
+    this.#reportLoadError(
+      new LoadError("missing-columns", `Missing position column(s): ${missing.join(", ")}`, {
+        url: this.#activeUrl,
+        missing,
+        available: table.loadedColumnNames,
+      })
+    );
+  }
+
+  #reportLoadProgress(url, rowsLoaded, totalRows) {
+    const fraction = totalRows > 0 ? rowsLoaded / totalRows : 1;
+    this.#emit("load-progress", { url, rowsLoaded, totalRows, fraction });
+    this.#setStatus({
+      message: `Loading ${rowsLoaded.toLocaleString()} / ${totalRows.toLocaleString()} rows`,
+      progress: fraction,
     });
+  }
+
+  /**
+   * Show `{ kind, message, progress }` in the status overlay, or hide it with
+   * `null`. `kind` is loading (default), error or empty; `progress` is 0..1, or
+   * null for an indeterminate load.
+   */
+  #setStatus(status) {
+    if (!status || !this.#showStatusOverlay) {
+      this.#statusOverlay.style.display = "none";
+      return;
+    }
+
+    this.#statusOverlay.dataset.kind = status.kind || "loading";
+    this.#statusText.textContent = status.message;
+    const hasProgress = Number.isFinite(status.progress);
+    this.#statusBarFill.parentElement.style.display = hasProgress ? "block" : "none";
+    this.#statusBarFill.style.width = hasProgress ? `${Math.round(status.progress * 100)}%` : "0%";
+    this.#statusOverlay.style.display = "block";
+  }
+
+  /**
+   * Decoding runs in a worker where possible; the reader is created on first
+   * load and dropped on disconnect.
+   */
+  #getParquetReader() {
+    if (!this.#parquetReader) this.#parquetReader = new ParquetReader();
+    return this.#parquetReader;
+  }
+
+  #closeSources() {
+    if (this.#parquetSource) this.#parquetReader?.close(this.#parquetSource);
+    if (this.#parsedSource) this.#parquetReader?.close(this.#parsedSource);
+    this.#parquetSource = null;
+    this.#parsedSource = null;
+  }
+
+  /**
+   * Columns needed to draw with the current inputs, limited to those in the file:
+   * positions, cluster ids and labels, ids, and any color/size/filter/search/
+   * tooltip/selection columns, resolved through resolveColumnName.
+   */
+  #requiredColumns(source) {
+    const requested = [
+      this.#xOverride,
+      this.#yOverride,
+      ...X_KEY_CANDIDATES,
+      ...Y_KEY_CANDIDATES,
+      this.#clusterIdInput,
+      ...CLUSTER_KEY_CANDIDATES,
+      this.#clusterLabelKeyOverride,
+      ...CLUSTER_LABEL_KEY_CANDIDATES,
+      this.#idKeyInput,
+      ...ID_KEY_CANDIDATES,
+      this.#colorBy,
+      this.#sizeBy,
+      this.#tooltipKey,
+    ];
+
+    if (this.#selectionPayloadMode === "columns") requested.push(...this.#selectionColumns);
+
+    if (this.#searchQuery) {
+      requested.push(...(this.#searchKeys.length > 0 ? this.#searchKeys : source.textColumns));
+    }
+
+    requested.push(...(this.#compiledFilter?.columns || []));
+
+    // Names resolve like every other lookup, so what loads is what gets read.
+    const wanted = new Set(requested.map((name) => resolveColumnName(source.columnNames, name)));
+    return source.columnNames.filter((name) => wanted.has(name));
+  }
+
+  /**
+   * Start reading required columns that aren't loaded yet; the redraw reruns
+   * once they arrive. Returns true while any column read is in flight.
+   */
+  #loadMissingColumns() {
+    const source = this.#parquetSource;
+    // Column reads cover every row; wait until all row groups have streamed in.
+    if (!source || source === this.#streamingSource) return false;
+
+    const missing = this.#requiredColumns(source).filter(
+      (name) => !this.#loadedColumns.has(name) && !this.#loadingColumns.has(name)
+    );
+
+    if (missing.length > 0) this.#loadColumns(source, missing);
+    return this.#loadingColumns.size > 0;
+  }
+
+  async #loadColumns(source, columns) {
+    for (const name of columns) this.#loadingColumns.add(name);
+
+    try {
+      const range = await this.#getParquetReader().read(source, columns, 0, source.numRows);
+      if (source !== this.#parquetSource) return;
+
+      for (const name of columns) this.#table.setColumn(name, range.columns[name]);
+    } catch (error) {
+      if (source === this.#parquetSource) {
+        // The chart still draws without them, so the overlay stays as it is.
+        this.#reportLoadError(
+          new LoadError("read-failed", `Could not read column(s) ${columns.join(", ")}`, {
+            url: this.#activeUrl,
+            columns,
+            cause: String(error?.message || error),
+          }),
+          { showStatus: false }
+        );
+      }
+    } finally {
+      if (source === this.#parquetSource) {
+        // Mark failures as loaded too so a broken column isn't retried forever.
+        for (const name of columns) {
+          this.#loadingColumns.delete(name);
+          this.#loadedColumns.add(name);
+        }
+      }
+    }
+
+    if (source !== this.#parquetSource || this.#loadingColumns.size > 0) return;
+
+    this.#searchIndex = null;
+    this.#paletteAppliedKey = "";
+    this.#redrawFromData();
+  }
+
+  #hasUnloadedColumns() {
+    const source = this.#parquetSource;
+    return Boolean(source) && source.columnNames.some((name) => !this.#loadedColumns.has(name));
+  }
+
+  /**
+   * Read every not-yet-loaded column for the given drawn points, in as few
+   * ranged reads as possible. No-op when the data isn't lazily loaded.
+   */
+  async #hydrateValidRows(validRowIndices) {
+    if (!this.#hasUnloadedColumns()) return;
+
+    const source = this.#parquetSource;
+    const missingColumns = source.columnNames.filter((name) => !this.#loadedColumns.has(name));
+
+    const sourceIndices = [];
+    for (const validRowIndex of validRowIndices) {
+      const sourceIndex = this.#validRowSourceIndices[validRowIndex];
+      if (sourceIndex !== undefined && !this.#rowHydrated[sourceIndex]) sourceIndices.push(sourceIndex);
+    }
+    if (sourceIndices.length === 0) return;
+
+    sourceIndices.sort((a, b) => a - b);
+
+    const ranges = [];
+    for (const sourceIndex of sourceIndices) {
+      const last = ranges[ranges.length - 1];
+      if (last && sourceIndex - last[1] <= HYDRATE_RANGE_GAP) last[1] = sourceIndex + 1;
+      else ranges.push([sourceIndex, sourceIndex + 1]);
+    }
+
+    for (const [rowStart, rowEnd] of ranges) {
+      const range = await this.#getParquetReader().read(source, missingColumns, rowStart, rowEnd);
+      if (source !== this.#parquetSource) return;
+
+      const rangeRows = rowsFromColumnarRange(range, missingColumns);
+      for (let offset = 0; offset < rangeRows.length; offset++) {
+        const sourceIndex = rowStart + offset;
+        if (sourceIndex >= this.#table.rowCount || this.#rowHydrated[sourceIndex]) continue;
 
-    if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
-    return parquetReadObjects({ file });
+        this.#table.setRowExtras(sourceIndex, rangeRows[offset]);
+        this.#rowHydrated[sourceIndex] = 1;
+      }
+    }
+  }
+
+  /**
+   * Loaded column holding cluster display labels (case-insensitive), or null.
+   */
+  #resolveClusterLabelKey() {
+    return pickFirstColumn(this.#table, [this.#clusterLabelKeyOverride, ...CLUSTER_LABEL_KEY_CANDIDATES]);
   }
 
   #inferXYKeys() {
     this.#inferredXKey = null;
     this.#inferredYKey = null;
 
-    const firstRow = this.#rows.length > 0 ? this.#rows[0] : null;
-    if (!firstRow) return;
+    if (this.#table.rowCount === 0) return;
 
-    const xCandidates = ["x", "projection_x", "umap_x", "tsne_x", "pca_x", "x0"];
-    const yCandidates = ["y", "projection_y", "umap_y", "tsne_y", "pca_y", "y0"];
-
-    const xKey = pickFirstExistingKey(firstRow, xCandidates);
-    const yKey = pickFirstExistingKey(firstRow, yCandidates);
+    const xKey = pickFirstColumn(this.#table, X_KEY_CANDIDATES);
+    const yKey = pickFirstColumn(this.#table, Y_KEY_CANDIDATES);
 
     if (xKey && yKey) {
       this.#inferredXKey = xKey;
@@ -784,18 +2698,6 @@ class RmxScatterplot extends HTMLElement {
       return;
     }
 
-    const scanCount = Math.min(25, this.#rows.length);
-    for (let rowIndex = 0; rowIndex < scanCount; rowIndex++) {
-      const row = this.#rows[rowIndex];
-      const maybeX = pickFirstExistingKey(row, xCandidates);
-      const maybeY = pickFirstExistingKey(row, yCandidates);
-      if (maybeX && maybeY) {
-        this.#inferredXKey = maybeX;
-        this.#inferredYKey = maybeY;
-        return;
-      }
-    }
-
     this.#inferredXKey = "x";
     this.#inferredYKey = "y";
   }
@@ -818,6 +2720,7 @@ class RmxScatterplot extends HTMLElement {
       height: cssHeight,
       pixelRatio,
       pointSize: Math.max(1, Number.isFinite(this.#pointSize) ? this.#pointSize : 4),
+      pointSizeSelected: this.#pointSizeSelected,
       lassoMinDelay: 0,
     };
 
@@ -831,8 +2734,13 @@ class RmxScatterplot extends HTMLElement {
       this.#scatterplot = createScatterplot(options);
       this.#scatterplot.set({ colorBy: "valueA" });
 
+      // A fresh instance has default colors/sizes; force the next redraw to re-apply them.
+      this.#paletteAppliedKey = "";
+      this.#sizeAppliedKey = "";
+
       this.#wireScatterplotSelectionEvents();
       this.#wireScatterplotHoverEvents();
+      this.#wireScatterplotViewEvents();
       return;
     }
 
@@ -857,48 +2765,101 @@ class RmxScatterplot extends HTMLElement {
         selectedIndices = Array.from(rawPoints);
       }
 
-      const selectedRows = selectedIndices
-        .map((index) => this.#validRows[index])
-        .filter(Boolean);
+      const selectedCount = selectedIndices.filter(
+        (index) => index >= 0 && index < this.#validRowSourceIndices.length
+      ).length;
+
+      // Selections we re-applied after a redraw keep the intended ids (some of
+      // which may be filtered out); anything else is a new intended selection.
+      const restoring = this.#restoreSelectionIndices;
+      const isRestore =
+        restoring &&
+        restoring.size === selectedIndices.length &&
+        selectedIndices.every((index) => restoring.has(index));
+      this.#restoreSelectionIndices = null;
+
+      if (!isRestore) {
+        this.#selectedIds = selectedIndices
+          .filter((index) => index >= 0 && index < this.#validRowSourceIndices.length)
+          .map((index) => String(this.#rowIdAt(index)));
+        this.#broadcastSelection();
+      }
+
+      this.#dispatchSelection(selectedIndices, selectedCount);
+    });
+
+    scatterplot.subscribe("deselect", () => {
+      if (this.#restoreDeselectPending) {
+        this.#restoreDeselectPending = false;
+      } else {
+        this.#selectedIds = [];
+        this.#broadcastSelection();
+      }
+      this.#selectionSequence++;
 
-      // Always emit list selection for state-reset ergonomics.
       this.dispatchEvent(
         new CustomEvent("selected-points", {
-          detail: jsonSafe(selectedRows),
+          detail: this.#selectionPayload([]),
           bubbles: true,
           composed: true,
         })
       );
 
-      if (selectedRows.length === 1) {
-        this.dispatchEvent(
-          new CustomEvent("selected-point", {
-            detail: jsonSafe(selectedRows[0]),
-            bubbles: true,
-            composed: true,
-          })
-        );
-      } else {
-        // When it isn't a single selection, still reset the single selection downstream.
-        this.dispatchEvent(
-          new CustomEvent("selected-point", {
-            detail: null,
-            bubbles: true,
-            composed: true,
-          })
+      this.dispatchEvent(
+        new CustomEvent("selected-point", {
+          detail: null,
+          bubbles: true,
+          composed: true,
+        })
+      );
+    });
+  }
+
+  async #dispatchSelection(selectedIndices, selectedCount) {
+    // Full-row and column payloads may need lazily loaded Parquet columns
+    // first. A newer selection supersedes this one while it waits.
+    const sequence = ++this.#selectionSequence;
+    if (this.#selectionPayloadMode !== "ids" && this.#hasUnloadedColumns()) {
+      const limit = this.#selectionLimit;
+      const sentIndices = limit > 0 ? selectedIndices.slice(0, limit) : selectedIndices;
+      try {
+        await this.#hydrateValidRows(sentIndices);
+      } catch (error) {
+        // The selection is still sent, with whatever columns are loaded.
+        this.#reportLoadError(
+          new LoadError("read-failed", "Could not read the selected rows", {
+            url: this.#activeUrl,
+            columns: null,
+            cause: String(error?.message || error),
+          }),
+          { showStatus: false }
         );
       }
-    });
+      if (sequence !== this.#selectionSequence) return;
+    }
 
-    scatterplot.subscribe("deselect", () => {
+    // Always emit list selection for state-reset ergonomics.
+    this.dispatchEvent(
+      new CustomEvent("selected-points", {
+        detail: this.#selectionPayload(selectedIndices),
+        bubbles: true,
+        composed: true,
+      })
+    );
+
+    if (selectedCount === 1) {
+      const singleIndex = selectedIndices.find(
+        (index) => index >= 0 && index < this.#validRowSourceIndices.length
+      );
       this.dispatchEvent(
-        new CustomEvent("selected-points", {
-          detail: [],
+        new CustomEvent("selected-point", {
+          detail: this.#projectSelectedRow(singleIndex),
           bubbles: true,
           composed: true,
         })
       );
-
+    } else {
+      // When it isn't a single selection, still reset the single selection downstream.
       this.dispatchEvent(
         new CustomEvent("selected-point", {
           detail: null,
@@ -906,7 +2867,7 @@ class RmxScatterplot extends HTMLElement {
           composed: true,
         })
       );
-    });
+    }
   }
 
   #wireScatterplotHoverEvents() {
@@ -917,7 +2878,7 @@ class RmxScatterplot extends HTMLElement {
       const index = Number.isFinite(maybeIndex) ? maybeIndex : null;
 
       const outOfRange =
-        index == null || index < 0 || index >= this.#validRows.length;
+        index == null || index < 0 || index >= this.#validRowSourceIndices.length;
 
       if (outOfRange) {
         this.#hoveredIndex = null;
@@ -942,11 +2903,15 @@ class RmxScatterplot extends HTMLElement {
     scatterplot.subscribe("pointover", (event) => {
       const index = event?.index ?? event?.point ?? event;
       scheduleTooltipForIndex(index);
+      if (Number.isInteger(index) && index >= 0 && index < this.#validRowSourceIndices.length) {
+        this.#forEachLinkedPeer((peer) => peer.#applyLinkedHover(String(this.#rowIdAt(index))));
+      }
     });
 
     scatterplot.subscribe("pointout", () => {
       this.#hoveredIndex = null;
       this.#hideTooltip();
+      this.#forEachLinkedPeer((peer) => peer.#applyLinkedHover(null));
     });
 
     scatterplot.subscribe("hover", (event) => {
@@ -962,6 +2927,58 @@ class RmxScatterplot extends HTMLElement {
     });
   }
 
+  /**
+   * One selected point in the configured `selection-payload` shape.
+   */
+  #projectSelectedRow(index) {
+    const sourceIndex = this.#validRowSourceIndices[index];
+    if (sourceIndex === undefined) return null;
+
+    switch (this.#selectionPayloadMode) {
+      case "ids":
+        return this.#rowIdAt(index);
+      case "columns": {
+        // get() also sees values hydrated by row range for columns still loading.
+        // Keyed as requested, read from the column the name resolves to.
+        const projected = {};
+        for (const column of this.#selectionColumns) {
+          const resolved = this.#table.resolve(column);
+          projected[column] = jsonSafe((resolved && this.#table.get(resolved, sourceIndex)) ?? null);
+        }
+        return projected;
+      }
+      default:
+        return jsonSafe(this.#table.row(sourceIndex));
+    }
+  }
+
+  /**
+   * Row object for a drawn point, materialized from the column table.
+   */
+  #drawnRow(index) {
+    const sourceIndex = this.#validRowSourceIndices[index];
+    return sourceIndex === undefined ? null : this.#table.row(sourceIndex);
+  }
+
+  /**
+   * `selected-points` detail: a plain list, or `{ count, truncated, items }`
+   * when `selection-limit` caps it. Only the rows that are sent get projected.
+   */
+  #selectionPayload(selectedIndices) {
+    const validIndices = selectedIndices.filter(
+      (index) => index >= 0 && index < this.#validRowSourceIndices.length
+    );
+
+    const limit = this.#selectionLimit;
+    if (!(limit > 0)) return validIndices.map((index) => this.#projectSelectedRow(index));
+
+    return {
+      count: validIndices.length,
+      truncated: validIndices.length > limit,
+      items: validIndices.slice(0, limit).map((index) => this.#projectSelectedRow(index)),
+    };
+  }
+
   #positionTooltip(mouseX, mouseY) {
     const padding = 12;
     const rootRect = this.#root.getBoundingClientRect();
@@ -990,36 +3007,160 @@ class RmxScatterplot extends HTMLElement {
   }
 
   #showTooltipForIndex(index) {
-    const row = this.#validRows[index];
-    if (!row) return;
+    const drawnSourceIndices = this.#validRowSourceIndices;
+    const sourceIndex = drawnSourceIndices[index];
+    if (sourceIndex === undefined) return;
+
+    const template = this.#tooltipTemplate;
+    const keys = this.#tooltipKeys;
+    const key = this.#table.resolveLoaded(this.#tooltipKey) || "";
+
+    // Columns the tooltip reads; null for the full-row dump.
+    const columns = template ? template.columns : keys.length > 0 ? keys : key ? [key] : null;
+    const needsRow =
+      this.#hasUnloadedColumns() &&
+      !this.#rowHydrated[sourceIndex] &&
+      (!columns || columns.some((name) => !this.#table.resolveLoaded(name)));
+    if (needsRow) {
+      // Lazily loaded columns come in for this row first; show once they arrive.
+      this.#hydrateValidRows([index])
+        .then(() => {
+          const stillHovered =
+            this.#hoveredIndex === index && this.#validRowSourceIndices === drawnSourceIndices;
+          if (stillHovered && this.#rowHydrated[sourceIndex]) {
+            this.#showTooltipForIndex(index);
+          }
+        })
+        .catch((error) => console.warn("[rmx-scatterplot] failed to load tooltip row", error));
+      return;
+    }
 
-    const key = this.#tooltipKey;
-    if (key && Object.prototype.hasOwnProperty.call(row, key)) {
-      this.#tooltip.textContent = String(row[key] ?? "");
+    if (template || keys.length > 0) {
+      const getValue = (name) => {
+        const resolved = this.#table.resolve(name);
+        return resolved ? this.#table.get(resolved, sourceIndex) : undefined;
+      };
+      const context = this.#tooltipContext(index, sourceIndex);
+      const html = template ? template.render(getValue, context) : renderTooltipRows(keys, getValue, context);
+      this.#tooltip.classList.add("rich");
+      this.#tooltip.replaceChildren(sanitizeTooltipHtml(html));
     } else {
-      this.#tooltip.textContent = formatTooltipLines(row, 60);
+      this.#tooltip.classList.remove("rich");
+      this.#tooltip.textContent = key
+        ? String(this.#table.get(key, sourceIndex) ?? "")
+        : formatTooltipLines(this.#table.row(sourceIndex), 60);
     }
     this.#tooltip.style.display = "block";
     this.#positionTooltip(this.#mousePosition.x, this.#mousePosition.y);
   }
 
+  /**
+   * `{ color, cluster }` for a drawn point: its base palette color and the
+   * display name of its cluster.
+   */
+  #tooltipContext(index, sourceIndex) {
+    const color = this.#basePalette[this.#baseColorIndices[index]] || MISSING_VALUE_COLOR;
+
+    const clusterKey = this.#effectiveClusterKey;
+    const clusterValue = clusterKey ? this.#table.get(clusterKey, sourceIndex) : null;
+    if (!isUsableClusterValue(clusterValue)) return { color, cluster: "" };
+
+    const clusterId = String(clusterValue);
+    const entry = this.#legendEntries.find((legendEntry) => legendEntry.id === clusterId);
+    return { color, cluster: entry ? entry.name : clusterId };
+  }
+
+  /**
+   * Built-in legend from the latest `clusters-changed` entries. Hidden
+   * clusters stay listed (dimmed) so they can be toggled back.
+   */
+  #renderLegend() {
+    const legend = this.#legend;
+    legend.dataset.position = this.#legendPosition;
+
+    const entries = this.#legendEntries;
+    if (!this.#showLegend || entries.length === 0) {
+      legend.style.display = "none";
+      legend.replaceChildren();
+      return;
+    }
+
+    legend.title = this.#legendClick === "toggle" ? "Click to show or hide a cluster" : "Click to select a cluster";
+    legend.replaceChildren(
+      ...entries.map((entry) => {
+        const row = document.createElement("div");
+        row.className = entry.visible ? "legend-entry" : "legend-entry hidden-cluster";
+        if (entry.noise) row.classList.add("noise-cluster");
+        row.dataset.clusterId = entry.id;
+
+        const swatch = document.createElement("span");
+        swatch.className = "legend-swatch";
+        swatch.style.background = entry.color;
+
+        const name = document.createElement("span");
+        name.className = "legend-name";
+        name.textContent = entry.name;
+        name.title = entry.name;
+
+        const count = document.createElement("span");
+        count.className = "legend-count";
+        count.textContent = entry.count.toLocaleString();
+
+        row.append(swatch, name, count);
+        return row;
+      })
+    );
+    legend.style.display = "block";
+  }
+
+  #onLegendEntryClick(clusterId) {
+    const entry = this.#legendEntries.find((legendEntry) => legendEntry.id === clusterId);
+    if (!entry) return;
+
+    if (this.#legendClick === "toggle") {
+      // Noise hidden through `hide-noise` comes back by clearing that flag.
+      if (entry.noise && !entry.visible && this.#hideNoise) {
+        this.#hideNoise = false;
+        this.#hiddenClusters = this.#hiddenClusters.filter((value) => value !== entry.id && value !== entry.name);
+        this.#redrawFromData();
+        return;
+      }
+      this.hiddenClusters = entry.visible
+        ? [...this.#hiddenClusters, entry.id]
+        : this.#hiddenClusters.filter((value) => value !== entry.id && value !== entry.name);
+      return;
+    }
+
+    this.selectClusters([entry.id]);
+  }
+
   #hideTooltip() {
     clearTimeout(this.#hoverShowTimer);
     this.#hoverShowTimer = null;
     this.#tooltip.style.display = "none";
   }
 
+  /**
+   * Rebuild the points for the current data and inputs. Keys and the filter
+   * are resolved here; deriving the point buffers, cluster indices and
+   * palettes runs in the worker (see point-builder.js) and lands in
+   * #applyPointBuild.
+   */
   #redrawFromData() {
     if (!this.#scatterplot) return;
 
-    const rows = Array.isArray(this.#rows) ? this.#rows : [];
+    // Inputs may need Parquet columns that weren't read yet; redraw once they are.
+    if (this.#loadMissingColumns()) return;
 
-    this.#validRows = [];
-    this.#clusterToIndices.clear();
+    // One build at a time; inputs that change meanwhile rebuild once it lands.
+    if (this.#pointBuild) {
+      this.#pointBuildQueued = true;
+      return;
+    }
 
-    if (!this.#inferredXKey || !this.#inferredYKey) this.#inferXYKeys();
+    const table = this.#table;
 
-    const firstRow = rows[0] || null;
+    if (!this.#inferredXKey || !this.#inferredYKey) this.#inferXYKeys();
 
     const requestedX = String(this.#xOverride || "").trim();
     const requestedY = String(this.#yOverride || "").trim();
@@ -1027,169 +3168,171 @@ class RmxScatterplot extends HTMLElement {
     const inferredX = this.#inferredXKey || "x";
     const inferredY = this.#inferredYKey || "y";
 
-    const xKey =
-      requestedX &&
-        firstRow &&
-        Object.prototype.hasOwnProperty.call(firstRow, requestedX)
-        ? requestedX
-        : inferredX;
-
-    const yKey =
-      requestedY &&
-        firstRow &&
-        Object.prototype.hasOwnProperty.call(firstRow, requestedY)
-        ? requestedY
-        : inferredY;
+    const xKey = table.resolveLoaded(requestedX) || inferredX;
+    const yKey = table.resolveLoaded(requestedY) || inferredY;
 
     this.#effectiveXKey = xKey;
     this.#effectiveYKey = yKey;
+    this.#checkPositionColumns(xKey, yKey);
+
+    const spec = {
+      xKey,
+      yKey,
+      clusterKey: this.#clusterIdInput || "cluster_id",
+      labelKey: this.#resolveClusterLabelKey(),
+      colorBy: this.#colorBy,
+      colorType: this.#colorType,
+      colormap: this.#colormap,
+      colorDomain: this.#colorDomain,
+      palette: this.#paletteColors,
+      paletteMode: this.#paletteMode,
+      clusterColors: this.#clusterColors,
+      noiseClusterId: this.#noiseClusterId,
+      hideNoise: this.#hideNoise,
+      hiddenClusters: this.#hiddenClusters,
+      sizeBy: this.#sizeBy,
+      sizeScale: this.#sizeScale,
+      filter: this.#resolveRowFilter(table),
+    };
 
-    const requestedClusterKey = this.#clusterIdInput || "cluster_id";
-    const clusterKey = chooseBestClusterKey(rows, requestedClusterKey);
-    this.#effectiveClusterKey = clusterKey;
-
-    // Unique cluster labels -> palette index mapping
-    const clusterValues = rows.map((row) => row?.[clusterKey]);
-    const uniqueClusterLabels = Array.from(
-      new Set(
-        clusterValues
-          .filter(isUsableClusterValue)
-          .map((value) => String(value))
-      )
-    );
-
-    if (uniqueClusterLabels.length === 0) uniqueClusterLabels.push("0");
-
-    const clusterLabelToPaletteIndex = new Map();
-    uniqueClusterLabels.forEach((label, index) =>
-      clusterLabelToPaletteIndex.set(label, index)
-    );
-
-    const palette = uniqueClusterLabels.map((_, index) => {
-      const hue01 =
-        uniqueClusterLabels.length <= 1 ? 0 : index / uniqueClusterLabels.length;
-      return rgb01ToHex(hsvToRgb01(hue01, 0.55, 0.95));
-    });
+    // The worker builds from its own copy of the source's columns. Without a
+    // source there is nothing to build from but (at most) an empty table.
+    const source = this.#parquetSource || this.#parsedSource;
+    const build = source
+      ? this.#getParquetReader().buildPoints(source, table, spec)
+      : new Promise((resolve) => resolve(buildPoints(table, spec)));
+    this.#pointBuild = build;
+    build
+      .then((built) => {
+        // Points for a table that has been replaced since are dropped.
+        if (table !== this.#table || !this.#scatterplot) return;
+        this.#applyPointBuild(built, spec, table);
+        if (this.#drawFailed) {
+          this.#drawFailed = false;
+          this.#setStatus(null);
+        }
+      })
+      .catch((error) => {
+        if (error?.name === "AbortError" || table !== this.#table) return;
+        this.#drawFailed = true;
+        this.#reportLoadError(
+          new LoadError("draw-failed", `Could not draw the data (${String(error?.message || error)})`, {
+            url: this.#activeUrl,
+            cause: String(error?.message || error),
+          })
+        );
+      })
+      .finally(() => {
+        this.#pointBuild = null;
+        if (this.#pointBuildQueued) {
+          this.#pointBuildQueued = false;
+          this.#redrawFromData();
+        }
+      });
+  }
 
-    const paletteKey = `cluster:${clusterKey}:k=${uniqueClusterLabels.length}:n=${rows.length}`;
+  /**
+   * Draw a buildPoints result and refresh everything that hangs off the drawn
+   * points: palette, sizes, cluster maps, search highlights, labels, legend.
+   */
+  #applyPointBuild(built, spec, table) {
+    const { clusters, points } = built;
+    const colorEncoding = built.color;
+    const palette = colorEncoding.palette;
+    const noisePaletteIndex = colorEncoding.noiseIndex;
+    this.#effectiveClusterKey = built.clusterKey;
+    this.#effectiveColorKey = colorEncoding.key;
+
+    const paletteKey = `${colorEncoding.cacheKey}:n=${table.rowCount}`;
     if (paletteKey !== this.#paletteAppliedKey) {
+      // The palette is doubled: indices >= palette.length are the dimmed variants
+      // used for points that don't match the search query. Noise keeps its
+      // reduced alpha in the undimmed half.
       this.#scatterplot.set({
         colorBy: "valueA",
-        pointColor: palette,
+        pointColor: [
+          ...palette.map((hex, index) => (index === noisePaletteIndex ? [...hexToRgb01(hex), NOISE_ALPHA] : hex)),
+          ...palette.map((hex) => [...hexToRgb01(hex), SEARCH_DIM_ALPHA]),
+        ],
       });
       this.#paletteAppliedKey = paletteKey;
     }
 
-    // Legend payload (name/color/count)
-    const clusterCounts = new Map(uniqueClusterLabels.map((label) => [label, 0]));
-
-    const points = [];
-
-    for (const row of rows) {
-      const xValue = toFiniteNumber(row?.[xKey]);
-      const yValue = toFiniteNumber(row?.[yKey]);
-      if (!Number.isFinite(xValue) || !Number.isFinite(yValue)) continue;
-
-      const rawClusterValue = row?.[clusterKey];
-      const clusterLabel = isUsableClusterValue(rawClusterValue)
-        ? String(rawClusterValue)
-        : uniqueClusterLabels[0];
-
-      const paletteIndex = clusterLabelToPaletteIndex.has(clusterLabel)
-        ? clusterLabelToPaletteIndex.get(clusterLabel)
-        : 0;
-
-      const validRowIndex = this.#validRows.length;
-      this.#validRows.push(row);
+    const sizeEncoding = built.size;
+    this.#effectiveSizeKey = sizeEncoding?.key || null;
+
+    const sizeKey = sizeEncoding
+      ? `size:${sizeEncoding.key}:${this.#sizeScale}:${this.#sizeRange.join(",")}`
+      : `size:none:${this.#pointSize}`;
+    if (sizeKey !== this.#sizeAppliedKey) {
+      const [minSize, maxSize] = this.#sizeRange;
+      this.#scatterplot.set(
+        sizeEncoding
+          ? {
+            sizeBy: "valueB",
+            pointSize: Array.from(
+              { length: SIZE_STEPS },
+              (_, index) => minSize + ((maxSize - minSize) * index) / (SIZE_STEPS - 1)
+            ),
+          }
+          : { sizeBy: null, pointSize: this.#pointSize }
+      );
+      this.#sizeAppliedKey = sizeKey;
+    }
 
-      if (!this.#clusterToIndices.has(clusterLabel)) {
-        this.#clusterToIndices.set(clusterLabel, []);
-      }
-      this.#clusterToIndices.get(clusterLabel).push(validRowIndex);
+    // Stash for selection resolution (label -> id) and for overlay labels.
+    this.#clusterIdToDisplayLabel.clear();
+    clusters.ids.forEach((clusterId, clusterCode) => {
+      this.#clusterIdToDisplayLabel.set(clusterId, clusters.names[clusterCode]);
+    });
+    this.#clusterLabelToId = clusters.idByName;
 
-      clusterCounts.set(clusterLabel, (clusterCounts.get(clusterLabel) || 0) + 1);
+    this.#effectiveIdKey = pickFirstColumn(table, [this.#idKeyInput, ...ID_KEY_CANDIDATES]);
+    this.#idToIndex = null;
 
-      // regl-scatterplot expects [x, y, valueA] when using colorBy: "valueA"
-      points.push([xValue, yValue, paletteIndex]);
-    }
+    // Plain arrays, since regl-scatterplot's select() takes nothing else.
+    this.#clusterToIndices.clear();
+    clusters.ids.forEach((clusterId, clusterCode) => {
+      const start = built.clusterOffsets[clusterCode];
+      const end = built.clusterOffsets[clusterCode + 1];
+      if (end > start) this.#clusterToIndices.set(clusterId, Array.from(built.clusterPoints.subarray(start, end)));
+    });
 
     this.#lastDrawnPoints = points;
-    this.#needsInitialFit = true;
+    this.#validRowSourceIndices = built.sourceIndices;
+    this.#baseColorIndices = built.colorIndices;
+    this.#basePaletteSize = palette.length;
+    this.#basePalette = palette;
+    this.#noisePaletteIndex = noisePaletteIndex;
+
+    // Row indices changed, so any cached search text is stale.
+    clearTimeout(this.#searchDebounceTimer);
+    this.#searchDebounceTimer = null;
+    this.#searchIndex = null;
+    this.#searchMatches = this.#computeSearchMatches();
+    // The hovered label is rebuilt below, so its highlight ends here.
+    this.#hoveredLabelClusterId = null;
+    this.#applyHighlight();
+    if (this.#searchMatches) this.#emitSearchResults();
+
+    this.#pendingSelectionRestore = true;
     this.#queueDraw(points);
     this.#scheduleClusterLabelLayout(true);
 
-    
-    // Prefer human-readable cluster labels (e.g. "Billing refunds") for display,
-    // but keep the original cluster id around for stable selection.
-    const clusterIdToLabel = new Map();
-    const clusterLabelToId = new Map();
-
-    // Try to find a label key in the row data (case-insensitive).
-    const labelKeyCandidates = [
-      this.#clusterLabelKeyOverride,
-      "cluster_label",
-      "clusterLabel",
-      "label",
-      "topic_label",
-      "topicLabel",
-    ].filter(Boolean);
-
-    const firstRowForLabels = this.#validRows[0] || this.#rows[0] || null;
-    let resolvedLabelKey = null;
-
-    if (firstRowForLabels) {
-      const lowerToActual = new Map(
-        Object.keys(firstRowForLabels).map((k) => [k.toLowerCase(), k])
-      );
-
-      for (const candidate of labelKeyCandidates) {
-        const actual = lowerToActual.get(String(candidate).toLowerCase());
-        if (actual) {
-          resolvedLabelKey = actual;
-          break;
-        }
-      }
-    }
-
-    // Build clusterId -> label using the first non-empty label we can find in each cluster.
-    for (const clusterId of uniqueClusterLabels) {
-      const ids = this.#clusterToIndices.get(clusterId) || [];
-      let displayLabel = null;
-
-      if (resolvedLabelKey && ids.length) {
-        for (const idx of ids) {
-          const row = this.#validRows[idx];
-          if (!row) continue;
-
-          const raw = row[resolvedLabelKey];
-          if (isUsableClusterValue(raw)) {
-            displayLabel = String(raw).trim();
-            if (displayLabel) break;
-          }
-        }
-      }
-
-      const finalLabel = displayLabel || String(clusterId);
-      clusterIdToLabel.set(String(clusterId), finalLabel);
-
-      // Only map label->id when it's unambiguous; keep the first one.
-      if (!clusterLabelToId.has(finalLabel)) {
-        clusterLabelToId.set(finalLabel, String(clusterId));
-      }
-    }
-
-    // Stash for selection resolution (label -> id) and for overlay labels.
-    this.#clusterIdToDisplayLabel.clear();
-    for (const [id, label] of clusterIdToLabel.entries()) {
-      this.#clusterIdToDisplayLabel.set(id, label);
-    }
-    this.#clusterLabelToId = clusterLabelToId;
-
-    const legendPayload = uniqueClusterLabels.map((clusterId, index) => ({
-      id: String(clusterId),
-      name: clusterIdToLabel.get(String(clusterId)) || String(clusterId), // display name
-      color: palette[index],
-      count: clusterCounts.get(clusterId) || 0,
+    // Palette slots come from the unfiltered data so colors stay put while
+    // filtering; the legend only lists clusters that still have points.
+    const legendClusterCodes = clusters.ids
+      .map((_, clusterCode) => clusterCode)
+      .filter((clusterCode) => !spec.filter || clusters.counts[clusterCode] > 0);
+
+    const noiseClusterId = spec.noiseClusterId;
+    const legendPayload = legendClusterCodes.map((clusterCode) => ({
+      id: clusters.ids[clusterCode],
+      name: clusters.names[clusterCode], // display name
+      color: palette[clusters.colorIndices[clusterCode]],
+      count: clusters.counts[clusterCode],
+      visible: !clusters.hidden[clusterCode],
+      noise: Boolean(noiseClusterId) && clusters.ids[clusterCode] === noiseClusterId,
     }));
 // Cache simple cluster display labels (fallback when cluster_label column is missing).
     this.#clusterIdToDisplayLabel.clear();
@@ -1198,21 +3341,23 @@ class RmxScatterplot extends HTMLElement {
     }
 
     if (legendPayload.length) this.#lastNonEmptyLegendPayload = legendPayload;
+    this.#legendEntries = legendPayload;
 
     const legendKey = `${paletteKey}|legend:${legendPayload.length}|${legendPayload
-      .map((entry) => `${entry.name}:${entry.count}`)
+      .map((entry) => `${entry.name}:${entry.count}:${entry.color}:${entry.visible}:${entry.noise}`)
       .join(",")}`;
 
     const debug = this.hasAttribute("debug");
 
     if (debug || legendKey !== this.#legendAppliedKey) {
       this.#legendAppliedKey = legendKey;
+      this.#renderLegend();
 
       if (debug) {
         try {
           console.log("[rmx-scatterplot clusters debug]", {
-            rows: this.#rows?.length,
-            validRows: this.#validRows?.length,
+            rows: this.#table.rowCount,
+            validRows: this.#validRowSourceIndices.length,
             clusterIdInput: this.#clusterIdInput,
             selectedClusterName: this.#selectedClusterName,
             legendPayloadLen: legendPayload?.length,
@@ -1223,8 +3368,13 @@ class RmxScatterplot extends HTMLElement {
         }
       }
 
-      const toSend = (legendPayload.length ? legendPayload : (this.#lastNonEmptyLegendPayload || legendPayload));
+      // A filter that matches nothing really has no clusters to list; only
+      // fall back to the previous entries while data is still coming in.
+      const toSend =
+        legendPayload.length || spec.filter ? legendPayload : this.#lastNonEmptyLegendPayload || legendPayload;
       const payload = JSON.parse(JSON.stringify(jsonSafe(toSend)));
+      // The color encoding is shared by every cluster, so it has its own event.
+      const colorLegend = JSON.parse(JSON.stringify(jsonSafe(colorEncoding.legend)));
 
       const dispatch = () => {
         this.dispatchEvent(
@@ -1234,6 +3384,7 @@ class RmxScatterplot extends HTMLElement {
             composed: true,
           })
         );
+        this.#emit("color-legend-changed", colorLegend);
       };
 
       requestAnimationFrame(dispatch);
@@ -1241,6 +3392,531 @@ class RmxScatterplot extends HTMLElement {
     }
   }
 
+  #zoomOptions(options = {}) {
+    const padding = Number(options.padding);
+    const duration = Number(options.duration ?? options.transitionDuration);
+
+    return {
+      padding: Number.isFinite(padding) && padding >= 0 ? padding : this.#zoomPadding,
+      transition: parseBooleanInput(options.transition, this.#zoomTransition),
+      transitionDuration: Number.isFinite(duration) && duration >= 0 ? duration : this.#zoomDuration,
+    };
+  }
+
+  async #zoomToIndices(indices, options = {}) {
+    const scatterplot = this.#scatterplot;
+    if (!scatterplot || typeof scatterplot.zoomToPoints !== "function") return;
+
+    const drawnCount = this.#validRowSourceIndices.length;
+    const valid = indices.filter((index) => Number.isInteger(index) && index >= 0 && index < drawnCount);
+    if (valid.length === 0) return;
+
+    try {
+      await scatterplot.zoomToPoints(valid, this.#zoomOptions(options));
+    } catch (e) {
+      console.warn("[rmx-scatterplot] zoomToPoints failed", e);
+    }
+    this.#scheduleClusterLabelLayout(false);
+  }
+
+  /**
+   * Fit all drawn points: zoomToArea() on their bounds, padded like
+   * zoomToPoints() pads, without building an index list per fit.
+   */
+  async #fitToData(options = {}) {
+    const scatterplot = this.#scatterplot;
+    const points = this.#lastDrawnPoints;
+    if (!scatterplot?.get?.("isPointsDrawn") || !points || points.x.length === 0) return;
+
+    let xMin = Infinity;
+    let xMax = -Infinity;
+    let yMin = Infinity;
+    let yMax = -Infinity;
+    for (let index = 0; index < points.x.length; index++) {
+      const x = points.x[index];
+      const y = points.y[index];
+      if (x < xMin) xMin = x;
+      if (x > xMax) xMax = x;
+      if (y < yMin) yMin = y;
+      if (y > yMax) yMax = y;
+    }
+
+    // A flat extent (one point, or a line) borrows the other one.
+    const spanX = xMax - xMin;
+    const spanY = yMax - yMin;
+    const { padding, ...zoomOptions } = this.#zoomOptions(options);
+    const width = (spanX || spanY || 1) * (1 + padding);
+    const height = (spanY || spanX || 1) * (1 + padding);
+
+    try {
+      await scatterplot.zoomToArea(
+        { x: (xMin + xMax) / 2 - width / 2, y: (yMin + yMax) / 2 - height / 2, width, height },
+        zoomOptions
+      );
+    } catch (e) {
+      console.warn("[rmx-scatterplot] zoomToArea failed", e);
+    }
+    this.#scheduleClusterLabelLayout(false);
+  }
+
+  #wireScatterplotViewEvents() {
+    const scatterplot = this.#scatterplot;
+    if (!scatterplot || typeof scatterplot.subscribe !== "function") return;
+
+    // "view" fires on every camera frame; report once the camera settles.
+    // Linked cameras follow every frame so panning stays smooth.
+    scatterplot.subscribe("view", ({ view } = {}) => {
+      this.#scheduleViewChanged();
+      if (this.#linkCamera && view) {
+        const cameraView = Float32Array.from(view);
+        this.#forEachLinkedPeer((peer) => peer.#applyLinkedCamera(cameraView));
+      }
+    });
+  }
+
+  #scheduleViewChanged() {
+    clearTimeout(this.#viewChangedTimer);
+    this.#viewChangedTimer = setTimeout(() => {
+      this.#viewChangedTimer = null;
+      this.#emitViewChanged();
+    }, VIEW_CHANGED_DEBOUNCE_MS);
+  }
+
+  #joinLinkGroup() {
+    if (!this.#linkGroup) return;
+
+    let members = linkGroups.get(this.#linkGroup);
+    if (!members) {
+      members = new Set();
+      linkGroups.set(this.#linkGroup, members);
+    }
+
+    // Adopt the group's current selection, if any.
+    const selectedPeer = [...members].find((peer) => peer.#selectedIds.length > 0);
+    members.add(this);
+    if (selectedPeer) this.#applyLinkedSelection(selectedPeer.#selectedIds);
+  }
+
+  #leaveLinkGroup() {
+    const members = linkGroups.get(this.#linkGroup);
+    if (!members) return;
+
+    members.delete(this);
+    if (members.size === 0) linkGroups.delete(this.#linkGroup);
+  }
+
+  #forEachLinkedPeer(callback) {
+    const members = this.#linkGroup ? linkGroups.get(this.#linkGroup) : null;
+    if (!members) return;
+
+    for (const peer of members) {
+      if (peer !== this) callback(peer);
+    }
+  }
+
+  #broadcastSelection() {
+    const ids = [...this.#selectedIds];
+    this.#forEachLinkedPeer((peer) => peer.#applyLinkedSelection(ids));
+  }
+
+  /**
+   * Mirror a peer's selection. Ids that aren't drawn here are kept, like
+   * selectIds(), and applying an unchanged set is a no-op, which ends the echo.
+   */
+  #applyLinkedSelection(ids) {
+    if (sameIdSet(ids, this.#selectedIds)) return;
+
+    this.#selectedIds = [...ids];
+    const scatterplot = this.#scatterplot;
+    if (!scatterplot?.get?.("isPointsDrawn")) return;
+
+    const indices = ids.length > 0 ? this.#indicesForIds(ids) : [];
+    if (indices.length > 0) {
+      this.#restoreSelectionIndices = new Set(indices);
+      scatterplot.select?.(indices);
+    } else if ((scatterplot.get?.("selectedPoints") || []).length > 0) {
+      this.#restoreDeselectPending = ids.length > 0;
+      scatterplot.deselect?.();
+    }
+  }
+
+  #applyLinkedHover(id) {
+    const scatterplot = this.#scatterplot;
+    if (!scatterplot?.get?.("isPointsDrawn")) return;
+
+    const index = id == null ? -1 : (this.#indicesForIds([id])[0] ?? -1);
+    scatterplot.hover?.(index, { showReticleOnce: index >= 0, preventEvent: true });
+  }
+
+  #applyLinkedCamera(cameraView) {
+    const scatterplot = this.#scatterplot;
+    if (!this.#linkCamera || !scatterplot) return;
+
+    // preventEvent suppresses this instance's "view" event for the frame, so
+    // the move isn't broadcast back to the sender.
+    scatterplot.view(cameraView, { preventEvent: true });
+    this.#scheduleViewChanged();
+    this.#scheduleClusterLabelLayout(false);
+  }
+
+  /**
+   * `{ target: [x, y], zoom, bounds: { x: [min, max], y: [min, max] } }` in
+   * data coordinates, or null without a scatterplot.
+   */
+  #currentView() {
+    const scatterplot = this.#scatterplot;
+    const cameraView = scatterplot?.get?.("cameraView");
+    if (!cameraView) return null;
+
+    const target = Array.from(scatterplot.get("cameraTarget"));
+    const zoom = 1 / scatterplot.get("cameraDistance");
+    const width = this.#canvas.clientWidth || 1;
+    const height = this.#canvas.clientHeight || 1;
+
+    return { target, zoom, bounds: visibleBoundsForView(cameraView, width / height) };
+  }
+
+  /**
+   * Cluster labels currently on screen as `{ text, x, y }` centers.
+   */
+  #visibleClusterLabels() {
+    const labels = [];
+    for (const el of this.#labelElementsByCluster.values()) {
+      if (!el.isConnected || el.style.display === "none") continue;
+
+      const x = Number.parseFloat(el.style.left);
+      const y = Number.parseFloat(el.style.top);
+      if (Number.isFinite(x) && Number.isFinite(y)) labels.push({ text: el.textContent, x, y });
+    }
+    return labels;
+  }
+
+  /**
+   * Drawn points inside the canvas as `{ x, y, r, color, opacity }` in CSS
+   * pixels, for SVG export. Sizes follow regl-scatterplot's default asinh
+   * zoom scaling.
+   */
+  #visiblePointsForExport(width, height) {
+    const points = this.#lastDrawnPoints;
+    const cameraView = this.#scatterplot?.get?.("cameraView");
+    if (!points || !cameraView || !width || !height) return [];
+
+    const project = screenProjection(cameraView, width, height);
+    const zoom = 1 / this.#scatterplot.get("cameraDistance");
+    const pointScale = zoom > 1 ? Math.asinh(zoom) / Math.asinh(1) : zoom;
+
+    const palette = this.#basePalette;
+    const dimOffset = this.#basePaletteSize;
+    const [minSize, maxSize] = this.#sizeRange;
+    const sized = Boolean(this.#effectiveSizeKey && points.valueB);
+
+    const exported = [];
+    for (let pointIndex = 0; pointIndex < points.x.length; pointIndex++) {
+      const size = sized ? minSize + (maxSize - minSize) * points.valueB[pointIndex] : this.#pointSize;
+      const radius = Math.max(0.5, (size * pointScale) / 2);
+      const [x, y] = project(points.x[pointIndex], points.y[pointIndex]);
+      if (x < -radius || x > width + radius || y < -radius || y > height + radius) continue;
+
+      const colorIndex = points.valueA[pointIndex];
+      const dimmed = colorIndex >= dimOffset;
+
+      exported.push({
+        x,
+        y,
+        r: radius.toFixed(2),
+        color: palette[dimmed ? colorIndex - dimOffset : colorIndex] || MISSING_VALUE_COLOR,
+        opacity: dimmed
+          ? SEARCH_DIM_ALPHA
+          : colorIndex === this.#noisePaletteIndex
+            ? NOISE_ALPHA * this.#pointOpacity
+            : this.#pointOpacity,
+      });
+    }
+    return exported;
+  }
+
+  #emitViewChanged() {
+    const view = this.#currentView();
+    if (!view) return;
+
+    // Re-applying an emitted view (e.g. a host echoing it back) shouldn't re-emit.
+    const viewKey = [...view.target, view.zoom].map((value) => value.toPrecision(6)).join(",");
+    if (viewKey === this.#lastViewKey) return;
+    this.#lastViewKey = viewKey;
+
+    this.#emit("view-changed", view);
+  }
+
+  async #applyView(view) {
+    const scatterplot = this.#scatterplot;
+    if (!scatterplot) return;
+
+    try {
+      if (view.target) {
+        await scatterplot.zoomToLocation(view.target, 1 / view.zoom, { transition: false });
+      } else {
+        const { x, y } = view.bounds;
+        await scatterplot.zoomToArea(
+          { x: x[0], y: y[0], width: x[1] - x[0], height: y[1] - y[0] },
+          { transition: false }
+        );
+      }
+    } catch (e) {
+      console.warn("[rmx-scatterplot] applying view failed", e);
+    }
+    this.#scheduleClusterLabelLayout(false);
+  }
+
+  /**
+   * Drawn point indices for row ids (matched as strings, see #rowIdAt).
+   */
+  #indicesForIds(ids) {
+    if (!this.#idToIndex) {
+      this.#idToIndex = new Map();
+      for (let rowIndex = 0; rowIndex < this.#validRowSourceIndices.length; rowIndex++) {
+        const key = String(this.#rowIdAt(rowIndex));
+        if (!this.#idToIndex.has(key)) this.#idToIndex.set(key, rowIndex);
+      }
+    }
+
+    const indices = [];
+    for (const id of ids) {
+      const index = this.#idToIndex.get(String(id));
+      if (index !== undefined) indices.push(index);
+    }
+    return indices;
+  }
+
+  #compileFilter() {
+    this.#compiledFilter = null;
+    this.#filterErrorKey = "";
+
+    const expression = this.#filterExpression;
+    if (!expression) return;
+
+    try {
+      this.#compiledFilter = compileFilterExpression(expression);
+    } catch (error) {
+      this.#emit("filter-error", {
+        expression,
+        message: error?.message || String(error),
+        position: Number.isFinite(error?.position) ? error.position : null,
+        columns: [],
+      });
+    }
+  }
+
+  /**
+   * `{ expression, columns }` for the current data, or null when no (valid)
+   * filter is set. `columns` pairs each name in the expression with the table
+   * column it resolves to, the same way #requiredColumns picks them.
+   * Filters that reference unknown columns are reported once and ignored.
+   * The point builder compiles the expression again wherever it runs.
+   */
+  #resolveRowFilter(table) {
+    const compiled = this.#compiledFilter;
+    if (!compiled || table.rowCount === 0) return null;
+
+    const columns = compiled.columns.map((name) => [name, resolveColumnName(table.columnNames, name)]);
+    const missingColumns = columns
+      .filter(([, column]) => !column || !table.has(column))
+      .map(([name]) => name);
+
+    if (missingColumns.length > 0) {
+      const errorKey = `${this.#filterExpression}|${missingColumns.join(",")}`;
+      if (errorKey !== this.#filterErrorKey) {
+        this.#filterErrorKey = errorKey;
+        this.#emit("filter-error", {
+          expression: this.#filterExpression,
+          message: `Unknown column${missingColumns.length > 1 ? "s" : ""}: ${missingColumns.join(", ")}`,
+          position: null,
+          columns: missingColumns,
+        });
+      }
+      return null;
+    }
+
+    this.#filterErrorKey = "";
+    return { expression: this.#filterExpression, columns };
+  }
+
+  #emit(name, detail) {
+    this.dispatchEvent(
+      new CustomEvent(name, {
+        detail,
+        bubbles: true,
+        composed: true,
+      })
+    );
+  }
+
+  /**
+   * Stable id for a drawn point: the id column when present, else the row's
+   * index in the loaded data (stable across filtering, unlike point indices).
+   */
+  #rowIdAt(validRowIndex) {
+    const sourceIndex = this.#validRowSourceIndices[validRowIndex];
+    const idKey = this.#effectiveIdKey;
+    const id = idKey && sourceIndex !== undefined ? this.#table.get(idKey, sourceIndex) : null;
+    if (id != null) return jsonSafe(id);
+    return sourceIndex ?? validRowIndex;
+  }
+
+  /**
+   * Re-apply the intended selection after a data redraw. regl-scatterplot keeps
+   * selected indices across draw() calls, which point at other rows by now.
+   */
+  #restoreSelection() {
+    const scatterplot = this.#scatterplot;
+    if (!scatterplot) return;
+
+    const indices = this.#selectedIds.length > 0 ? this.#indicesForIds(this.#selectedIds) : [];
+    const currentlySelected = scatterplot.get?.("selectedPoints") || [];
+
+    if (indices.length > 0) {
+      this.#restoreSelectionIndices = new Set(indices);
+      scatterplot.select?.(indices);
+    } else if (this.#selectedIds.length > 0) {
+      // Every selected row is filtered out: clear visibly, keep the ids.
+      if (currentlySelected.length > 0) {
+        this.#restoreDeselectPending = true;
+        scatterplot.deselect?.();
+      }
+    } else if (currentlySelected.length > 0) {
+      scatterplot.deselect?.({ preventEvent: true });
+    }
+  }
+
+  #scheduleSearch() {
+    clearTimeout(this.#searchDebounceTimer);
+    this.#searchDebounceTimer = setTimeout(() => {
+      this.#searchDebounceTimer = null;
+      this.#runSearch();
+    }, SEARCH_DEBOUNCE_MS);
+  }
+
+  #runSearch() {
+    // Searched text columns load lazily; the redraw that follows reruns the search.
+    if (this.#loadMissingColumns()) return;
+
+    this.#searchMatches = this.#computeSearchMatches();
+    this.#applyHighlight();
+
+    if (this.#validRowSourceIndices.length > 0) this.#queueDraw(this.#lastDrawnPoints);
+    this.#emitSearchResults();
+  }
+
+  #resolveSearchKeys() {
+    const table = this.#table;
+    if (this.#validRowSourceIndices.length === 0) return [];
+
+    if (this.#searchKeys.length > 0) {
+      return [...new Set(this.#searchKeys.map((key) => table.resolveLoaded(key)))].filter(Boolean);
+    }
+
+    // Default: every text column.
+    return table.loadedColumnNames.filter((key) => table.isTextColumn(key));
+  }
+
+  /**
+   * Lowercased haystack per drawn point, built on first use and reused across
+   * keystrokes until the data or the searched columns change.
+   */
+  #ensureSearchIndex() {
+    const keys = this.#resolveSearchKeys();
+    const keysSignature = keys.join("\u0000");
+
+    if (this.#searchIndex && this.#searchIndexKeys === keysSignature) {
+      return this.#searchIndex;
+    }
+
+    const table = this.#table;
+    const drawnSourceIndices = this.#validRowSourceIndices;
+    const index = new Array(drawnSourceIndices.length);
+
+    for (let rowIndex = 0; rowIndex < drawnSourceIndices.length; rowIndex++) {
+      const sourceIndex = drawnSourceIndices[rowIndex];
+      let text = "";
+      for (const key of keys) {
+        const value = table.get(key, sourceIndex);
+        if (value == null) continue;
+        text += `${String(value)}\n`;
+      }
+      index[rowIndex] = text.toLowerCase();
+    }
+
+    this.#searchIndex = index;
+    this.#searchIndexKeys = keysSignature;
+    return index;
+  }
+
+  /**
+   * Match mask aligned with drawn points (every term must appear), or null when
+   * no query is active.
+   */
+  #computeSearchMatches() {
+    const terms = this.#searchQuery.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0 || this.#validRowSourceIndices.length === 0) return null;
+
+    const index = this.#ensureSearchIndex();
+    const matches = new Uint8Array(index.length);
+
+    for (let rowIndex = 0; rowIndex < index.length; rowIndex++) {
+      const text = index[rowIndex];
+      let isMatch = true;
+      for (const term of terms) {
+        if (!text.includes(term)) {
+          isMatch = false;
+          break;
+        }
+      }
+      matches[rowIndex] = isMatch ? 1 : 0;
+    }
+
+    return matches;
+  }
+
+  /**
+   * Dim points outside the hovered label's cluster or, without one, points
+   * that don't match the search query.
+   */
+  #applyHighlight() {
+    const colorIndices = this.#lastDrawnPoints?.valueA;
+    if (!colorIndices) return;
+
+    const baseColorIndices = this.#baseColorIndices;
+    let lit = this.#searchMatches;
+    const hoveredIndices =
+      this.#hoveredLabelClusterId != null ? this.#clusterToIndices.get(this.#hoveredLabelClusterId) : null;
+    if (hoveredIndices) {
+      lit = new Uint8Array(colorIndices.length);
+      for (const index of hoveredIndices) lit[index] = 1;
+    }
+    const dimOffset = this.#basePaletteSize;
+
+    for (let pointIndex = 0; pointIndex < colorIndices.length; pointIndex++) {
+      const baseIndex = baseColorIndices[pointIndex] ?? 0;
+      colorIndices[pointIndex] = !lit || lit[pointIndex] ? baseIndex : baseIndex + dimOffset;
+    }
+  }
+
+  #emitSearchResults() {
+    const matches = this.#searchMatches;
+    const ids = [];
+
+    if (matches) {
+      for (let rowIndex = 0; rowIndex < matches.length; rowIndex++) {
+        if (matches[rowIndex]) ids.push(this.#rowIdAt(rowIndex));
+      }
+    }
+
+    this.#emit("search-results", {
+      query: this.#searchQuery,
+      count: ids.length,
+      ids,
+    });
+  }
+
   #resolveClusterSelectionValue(selectionValue) {
     const raw = String(selectionValue || "").trim();
     if (!raw) return "";
@@ -1254,16 +3930,47 @@ class RmxScatterplot extends HTMLElement {
   }
 
 
+  #setHoveredLabelCluster(clusterId) {
+    const next = clusterId ?? null;
+    if (next === this.#hoveredLabelClusterId) return;
+
+    this.#hoveredLabelClusterId = next;
+    this.#applyHighlight();
+    if (this.#validRowSourceIndices.length > 0) this.#queueDraw(this.#lastDrawnPoints);
+  }
+
+  /**
+   * Select the label's cluster like `select-cluster`, optionally zoom to it,
+   * and tell the host.
+   */
+  #onClusterLabelClick(clusterId) {
+    const indices = this.#clusterToIndices.get(clusterId) || [];
+    if (!this.#scatterplot || indices.length === 0) return;
+
+    this.#scatterplot.select?.(indices);
+    if (this.#clusterLabelZoom) this.#zoomToIndices(indices);
+
+    this.#emit("cluster-label-click", {
+      id: clusterId,
+      name: this.#labelElementsByCluster.get(clusterId)?.textContent || clusterId,
+      count: indices.length,
+    });
+  }
+
   #scheduleClusterLabelLayout(forceRebuild = false) {
     if (!this.#showClusterLabels) {
+      this.#setHoveredLabelCluster(null);
       this.#labelsLayer.innerHTML = "";
       this.#labelElementsByCluster.clear();
+      this.#clusterLabelAnchors = null;
       return;
     }
 
     if (forceRebuild) {
+      this.#setHoveredLabelCluster(null);
       this.#labelElementsByCluster.clear();
       this.#labelsLayer.innerHTML = "";
+      this.#clusterLabelAnchors = null;
     }
 
     if (this.#labelLayoutRaf) return;
@@ -1279,81 +3986,51 @@ class RmxScatterplot extends HTMLElement {
     });
   }
 
-  #layoutClusterLabels() {
-    if (!this.#showClusterLabels) return;
-    if (!this.#scatterplot) return;
-
-    const getScreenPosition = this.#scatterplot.getScreenPosition;
-    if (typeof getScreenPosition !== "function") {
-      if (!this.#warnedMissingScreenPos) {
-        this.#warnedMissingScreenPos = true;
-        console.warn(
-          "[rmx-scatterplot] regl-scatterplot.getScreenPosition() not available; cannot render in-chart cluster labels."
-        );
-      }
-      return;
-    }
-
-    // Choose a label key in the row data (case-insensitive).
-    const firstRow = this.#validRows[0] || this.#rows[0] || null;
-    const labelKeyCandidates = [
-      this.#clusterLabelKeyOverride,
-      "cluster_label",
-      "clusterLabel",
-      "label",
-      "topic_label",
-      "topicLabel",
-    ].filter(Boolean);
-
-    let resolvedLabelKey = null;
-    if (firstRow) {
-      const rowKeys = Object.keys(firstRow);
-      const lowerToActual = new Map(rowKeys.map((k) => [k.toLowerCase(), k]));
-      for (const candidate of labelKeyCandidates) {
-        const actual = lowerToActual.get(String(candidate).toLowerCase());
-        if (actual) {
-          resolvedLabelKey = actual;
-          break;
-        }
-      }
-    }
-
-    // Build a representative index per cluster (closest-to-centroid in 2D).
-    const clusters = Array.from(this.#clusterToIndices.entries());
-    if (clusters.length === 0) return;
+  /**
+   * One anchor per cluster, largest first: the point closest to the centroid
+   * (data coordinates), the RMS spread around it, and the label element.
+   * Scans every drawn point, so this only runs when the data changes.
+   */
+  #buildClusterLabelAnchors() {
+    const points = this.#lastDrawnPoints;
+    if (!points || points.x.length === 0) return [];
 
-    // Precompute xy for each point in drawn space (aligned to validRows)
-    // We can reconstruct x/y from lastDrawnPoints, which is aligned with validRows indices.
-    const points = this.#lastDrawnPoints || [];
-    if (points.length === 0) return;
+    const resolvedLabelKey = this.#resolveClusterLabelKey();
+    const table = this.#table;
+    const anchors = [];
 
-    for (const [clusterId, indices] of clusters) {
+    for (const [clusterId, indices] of this.#clusterToIndices) {
       if (!indices || indices.length === 0) continue;
+      // Noise is scattered across the map; a label at its centroid means nothing.
+      if (this.#noiseClusterId && clusterId === this.#noiseClusterId) continue;
 
-      // Centroid
+      // Centroid and spread
       let sumX = 0;
       let sumY = 0;
+      let sumSquares = 0;
       let count = 0;
       for (const idx of indices) {
-        const p = points[idx];
-        if (!p) continue;
-        sumX += p[0];
-        sumY += p[1];
+        if (idx >= points.x.length) continue;
+        const x = points.x[idx];
+        const y = points.y[idx];
+        sumX += x;
+        sumY += y;
+        sumSquares += x * x + y * y;
         count++;
       }
       if (count === 0) continue;
 
       const cx = sumX / count;
       const cy = sumY / count;
+      const spread = Math.sqrt(Math.max(0, sumSquares / count - cx * cx - cy * cy));
 
       // Closest index to centroid
       let bestIdx = indices[0];
       let bestDist = Infinity;
       for (const idx of indices) {
-        const p = points[idx];
-        if (!p) continue;
-        const dx = p[0] - cx;
-        const dy = p[1] - cy;
+        if (idx >= points.x.length) continue;
+        const dx = points.x[idx] - cx;
+        const dy = points.y[idx] - cy;
         const d = dx * dx + dy * dy;
         if (d < bestDist) {
           bestDist = d;
@@ -1361,58 +4038,102 @@ class RmxScatterplot extends HTMLElement {
         }
       }
 
-      const row = this.#validRows[bestIdx];
-      const clusterLabelFromRow =
-        resolvedLabelKey && row && isUsableClusterValue(row[resolvedLabelKey])
-          ? String(row[resolvedLabelKey])
-          : null;
+      const labelValue = resolvedLabelKey
+        ? table.get(resolvedLabelKey, this.#validRowSourceIndices[bestIdx])
+        : null;
+      const clusterLabelFromRow = isUsableClusterValue(labelValue) ? String(labelValue) : null;
 
       const displayLabel =
         clusterLabelFromRow ||
         this.#clusterIdToDisplayLabel.get(clusterId) ||
         String(clusterId);
 
-      const rawScreen = getScreenPosition(bestIdx);
-
-      // regl-scatterplot versions differ:
-      // - some return { x: px, y: px }
-      // - some return [x, y]
-      // - some return normalized device coords in [-1..1]
-      let sx = null;
-      let sy = null;
-
-      if (Array.isArray(rawScreen) && rawScreen.length >= 2) {
-        sx = rawScreen[0];
-        sy = rawScreen[1];
-      } else if (rawScreen && typeof rawScreen === "object") {
-        sx = rawScreen.x;
-        sy = rawScreen.y;
-      }
+      const el = document.createElement("div");
+      el.className = "cluster-label";
+      el.dataset.clusterId = clusterId;
+      el.textContent = displayLabel;
+      el.style.display = "none";
+      this.#labelsLayer.appendChild(el);
+      this.#labelElementsByCluster.set(clusterId, el);
+
+      anchors.push({
+        clusterId,
+        x: points.x[bestIdx],
+        y: points.y[bestIdx],
+        spread,
+        count,
+        element: el,
+        width: 0,
+        height: 0,
+      });
+    }
+
+    return anchors.sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Place labels largest cluster first, skipping any whose anchor is off
+   * screen or whose pill would overlap one already placed. Beyond the first
+   * few, a cluster is labeled only once its spread covers enough pixels, so
+   * smaller clusters appear as you zoom in.
+   */
+  #layoutClusterLabels() {
+    if (!this.#showClusterLabels) return;
+
+    const cameraView = this.#scatterplot?.get?.("cameraView");
+    if (!cameraView) return;
+
+    if (!this.#clusterLabelAnchors) this.#clusterLabelAnchors = this.#buildClusterLabelAnchors();
+    const anchors = this.#clusterLabelAnchors;
+    if (anchors.length === 0) return;
 
-      if (!Number.isFinite(sx) || !Number.isFinite(sy)) continue;
+    const width = this.#canvas.clientWidth;
+    const height = this.#canvas.clientHeight;
+    if (!width || !height) return;
 
-      const canvasW = this.#canvas?.clientWidth || 0;
-      const canvasH = this.#canvas?.clientHeight || 0;
+    const project = screenProjection(cameraView, width, height);
+    const pixelsPerUnit = (Math.hypot(cameraView[0], cameraView[1]) * height) / 2;
+    const placed = [];
 
-      // If coords look normalized (roughly in [-1..1]), convert to px.
-      if (canvasW > 0 && canvasH > 0 && sx >= -1.05 && sx <= 1.05 && sy >= -1.05 && sy <= 1.05) {
-        // NDC: (-1,-1) bottom-left, (1,1) top-right
-        sx = (sx * 0.5 + 0.5) * canvasW;
-        sy = (1 - (sy * 0.5 + 0.5)) * canvasH;
+    anchors.forEach((anchor, rank) => {
+      const el = anchor.element;
+      const [sx, sy] = project(anchor.x, anchor.y);
+
+      const onScreen = sx >= 0 && sx <= width && sy >= 0 && sy <= height;
+      const largeEnough =
+        rank < ALWAYS_LABELED_CLUSTERS || anchor.spread * pixelsPerUnit >= MIN_LABELED_SPREAD_PX;
+      if (!onScreen || !largeEnough) {
+        el.style.display = "none";
+        return;
       }
 
-      let el = this.#labelElementsByCluster.get(clusterId);
-      if (!el) {
-        el = document.createElement("div");
-        el.className = "cluster-label";
-        this.#labelsLayer.appendChild(el);
-        this.#labelElementsByCluster.set(clusterId, el);
+      if (!anchor.width) {
+        // Measured once, the first time the label is shown.
+        el.style.display = "";
+        anchor.width = el.offsetWidth;
+        anchor.height = el.offsetHeight;
       }
 
-      el.textContent = displayLabel;
+      const box = {
+        left: sx - anchor.width / 2 - LABEL_GAP_PX,
+        right: sx + anchor.width / 2 + LABEL_GAP_PX,
+        top: sy - anchor.height / 2 - LABEL_GAP_PX,
+        bottom: sy + anchor.height / 2 + LABEL_GAP_PX,
+      };
+      const collides = placed.some(
+        (other) =>
+          box.left < other.right && box.right > other.left && box.top < other.bottom && box.bottom > other.top
+      );
+      if (collides) {
+        el.style.display = "none";
+        return;
+      }
+
+      placed.push(box);
+      el.style.display = "";
       el.style.left = `${sx}px`;
       el.style.top = `${sy}px`;
-    }
+    });
   }
 
   #queueDraw(points) {
@@ -1423,35 +4144,51 @@ class RmxScatterplot extends HTMLElement {
 
     queueMicrotask(async () => {
       this.#drawScheduled = false;
-      if (this.#drawInFlight) return;
+      if (this.#drawInFlight || !this.#scatterplot) return;
 
       this.#drawInFlight = true;
       try {
-        const pointsToDraw = this.#pendingPoints || [];
+        const pointsToDraw = this.#pendingPoints;
         this.#pendingPoints = null;
         // Skip empty draws — draw([]) can hang if the scatterplot isn't fully
         // initialized (e.g. 1×1px canvas before connectedCallback), which locks
         // #drawInFlight=true and blocks all future draws.
-        if (pointsToDraw.length === 0) return;
-        await this.#scatterplot.draw(pointsToDraw);
+        if (!pointsToDraw || pointsToDraw.x.length === 0) {
+          // Once real points are up (e.g. a filter that now matches nothing),
+          // clearing is safe and keeps stale points from lingering.
+          if (this.#scatterplot.get?.("isPointsDrawn")) await this.#scatterplot.clearPoints?.();
+          return;
+        }
+        // valueA is always a palette index; valueB (size-by) is always a 0..1
+        // fraction, even when every value happens to be 0 or 1.
+        await this.#scatterplot.draw(pointsToDraw, {
+          zDataType: "categorical",
+          wDataType: "continuous",
+        });
 
         // On first render after new data arrives, fit the camera to the full dataset.
         // Without this, the initial view can land "inside" empty space and require a manual zoom-out.
-        if (this.#needsInitialFit && typeof this.#scatterplot.fitToBounds === "function") {
+        // A `view` input replaces the fit and keeps the camera where the user left it.
+        if (this.#needsInitialFit) {
           this.#needsInitialFit = false;
-          requestAnimationFrame(() => {
-            try {
-              this.#scatterplot?.fitToBounds?.();
-            } catch (e) {
-              console.warn("[rmx-scatterplot] fitToBounds failed", e);
-            }
-          });
+          const pendingView = this.#pendingView;
+          this.#pendingView = null;
+          if (pendingView) requestAnimationFrame(() => this.#applyView(pendingView));
+          else if (!this.#view) requestAnimationFrame(() => this.#fitToData({ transition: false }));
+        }
+
+        if (this.#pendingSelectionRestore) {
+          this.#pendingSelectionRestore = false;
+          this.#restoreSelection();
         }
 
         // Labels rely on screen-space buffers; update after a draw completes.
         this.#scheduleClusterLabelLayout(false);
       } finally {
         this.#drawInFlight = false;
+        // Points queued while this draw was in flight (e.g. the next streamed
+        // row group) would otherwise wait for an unrelated redraw.
+        if (this.#pendingPoints) this.#queueDraw(this.#pendingPoints);
       }
     });
   }
@@ -0,0 +1,99 @@
+import { parquetWriteBuffer } from "hyparquet-writer";
+import { jsonSafe } from "./json-safe.js";
+
+/**
+ * File encodings for exportSelection(). Rows hold the table's own values.
+ * Text formats write them through jsonSafe, like event payloads (dates as
+ * ISO strings, bigints as digits); only Parquet keeps them as TIMESTAMP and
+ * INT64 columns.
+ */
+
+export const SELECTION_EXPORT_FORMATS = ["csv", "ndjson", "json", "parquet"];
+
+const MIME_TYPES = {
+  csv: "text/csv",
+  ndjson: "application/x-ndjson",
+  json: "application/json",
+  parquet: "application/vnd.apache.parquet",
+};
+
+/**
+ * Blob of `rows` restricted to `columns` (in that order) as `format`.
+ */
+export function encodeRows(rows, columns, format) {
+  switch (format) {
+    case "csv":
+      return new Blob([toCsv(rows, columns)], { type: MIME_TYPES.csv });
+    case "ndjson": {
+      const lines = rows.map((row) => JSON.stringify(jsonSafe(pick(row, columns))));
+      return new Blob([lines.length ? `${lines.join("\n")}\n` : ""], { type: MIME_TYPES.ndjson });
+    }
+    case "json":
+      return new Blob([JSON.stringify(jsonSafe(rows.map((row) => pick(row, columns))))], { type: MIME_TYPES.json });
+    case "parquet":
+      return new Blob([toParquet(rows, columns)], { type: MIME_TYPES.parquet });
+    default:
+      throw new Error(`Unsupported export format "${format}"`);
+  }
+}
+
+function pick(row, columns) {
+  const picked = {};
+  for (const name of columns) picked[name] = row?.[name] ?? null;
+  return picked;
+}
+
+function isValidDate(value) {
+  return value instanceof Date && !Number.isNaN(value.getTime());
+}
+
+// Nested values are written as their JSON text.
+function cellText(value) {
+  const safe = jsonSafe(value);
+  if (safe === null || safe === undefined) return "";
+  return typeof safe === "object" ? JSON.stringify(safe) : String(safe);
+}
+
+// RFC 4180: quote fields with delimiters, quotes, line breaks or edge spaces.
+function csvField(text) {
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.map(csvField).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((name) => csvField(cellText(row?.[name]))).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * One Parquet column per name: DOUBLE, INT64, BOOLEAN or TIMESTAMP when every
+ * value is a number, bigint, boolean or date, otherwise STRING with nested
+ * values as JSON.
+ */
+function toParquet(rows, columns) {
+  const columnData = columns.map((name) => {
+    const values = rows.map((row) => {
+      const value = row?.[name] ?? null;
+      return value instanceof Date && !isValidDate(value) ? null : value;
+    });
+    const present = values.filter((value) => value !== null);
+
+    if (present.length > 0 && present.every((value) => typeof value === "number")) {
+      return { name, data: values, type: "DOUBLE" };
+    }
+    if (present.length > 0 && present.every((value) => typeof value === "bigint")) {
+      return { name, data: values, type: "INT64" };
+    }
+    if (present.length > 0 && present.every((value) => typeof value === "boolean")) {
+      return { name, data: values, type: "BOOLEAN" };
+    }
+    if (present.length > 0 && present.every((value) => value instanceof Date)) {
+      return { name, data: values, type: "TIMESTAMP" };
+    }
+    return { name, data: values.map((value) => (value === null ? null : cellText(value))), type: "STRING" };
+  });
+
+  return parquetWriteBuffer({ columnData });
+}
@@ -0,0 +1,217 @@
+/**
+ * Rich tooltips: `tooltip-template` placeholders and the `tooltip-keys` table,
+ * rendered to markup and then sanitized against a small allowlist before it
+ * reaches the shadow DOM.
+ *
+ * Placeholders are `{column}` with optional `|filter:arg` steps, e.g.
+ * `{rating|number:1}` or `{text|truncate:300}`. `{@swatch}` and `{@cluster}`
+ * are the hovered point's color and cluster name. Values are always escaped;
+ * only the template's own markup survives as elements.
+ */
+
+const PLACEHOLDER_PATTERN = /\{([^{}|]+)((?:\|[^{}]*)?)\}/g;
+
+const ALLOWED_TAGS = new Set([
+  "b", "strong", "i", "em", "u", "s", "small", "mark", "code", "pre", "br", "hr",
+  "p", "div", "span", "h1", "h2", "h3", "h4", "ul", "ol", "li",
+  "table", "thead", "tbody", "tr", "th", "td", "img",
+]);
+
+// Removed together with their content; other unknown tags keep their text.
+const DROPPED_TAGS = new Set([
+  "script", "style", "template", "iframe", "object", "embed", "svg", "math", "noscript", "textarea",
+]);
+
+const SAFE_DATA_IMAGE = /^data:image\/(png|jpe?g|gif|webp);/i;
+const URL_SCHEME = /^[a-z][a-z0-9+.-]*:/i;
+const HEX_COLOR = /^#[0-9a-f]{3,8}$/i;
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+// Relative URLs and http(s) are fine; data: only for raster images.
+function isSafeImageUrl(url) {
+  const trimmed = String(url).trim();
+  if (SAFE_DATA_IMAGE.test(trimmed)) return true;
+  return !URL_SCHEME.test(trimmed) || /^https?:/i.test(trimmed);
+}
+
+/**
+ * Display text for a cell: bigints as digits, nested values as JSON.
+ */
+function valueText(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "bigint") return value.toString();
+  if (typeof value === "object" && !(value instanceof Date)) {
+    return JSON.stringify(value, (_, nested) => (typeof nested === "bigint" ? nested.toString() : nested));
+  }
+  return String(value);
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
+
+/**
+ * Filters take the current value and return `{ text }` (escaped on output)
+ * or `{ html }` (trusted markup built here).
+ */
+const FILTERS = {
+  number(value, digits) {
+    const number = Number(value);
+    if (value === null || value === "" || !Number.isFinite(number)) return { text: valueText(value) };
+
+    const fractionDigits = Number.isInteger(Number(digits)) && digits !== "" ? Number(digits) : undefined;
+    return {
+      text: number.toLocaleString(undefined, {
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits ?? 3,
+      }),
+    };
+  },
+  percent(value, digits) {
+    const number = Number(value);
+    if (value === null || value === "" || !Number.isFinite(number)) return { text: valueText(value) };
+
+    const fractionDigits = Number.isInteger(Number(digits)) && digits !== "" ? Number(digits) : 0;
+    return { text: `${(number * 100).toFixed(fractionDigits)}%` };
+  },
+  truncate(value, length) {
+    const maxLength = Number(length);
+    const text = valueText(value);
+    return { text: Number.isInteger(maxLength) && maxLength > 0 ? truncate(text, maxLength) : text };
+  },
+  upper: (value) => ({ text: valueText(value).toUpperCase() }),
+  lower: (value) => ({ text: valueText(value).toLowerCase() }),
+  date(value) {
+    const date = value instanceof Date ? value : new Date(typeof value === "bigint" ? Number(value) : value);
+    return { text: value === null || Number.isNaN(date.getTime()) ? valueText(value) : date.toLocaleDateString() };
+  },
+  datetime(value) {
+    const date = value instanceof Date ? value : new Date(typeof value === "bigint" ? Number(value) : value);
+    return { text: value === null || Number.isNaN(date.getTime()) ? valueText(value) : date.toLocaleString() };
+  },
+  default: (value, fallback) => ({ text: valueText(value) === "" ? fallback : valueText(value) }),
+  image(value, height) {
+    const url = valueText(value).trim();
+    if (!url || !isSafeImageUrl(url)) return { text: "" };
+
+    const pixels = Number(height);
+    const size = Number.isInteger(pixels) && pixels > 0 ? ` height="${pixels}"` : "";
+    return { html: `<img class="thumb" src="${escapeHtml(url)}" alt=""${size}>` };
+  },
+};
+
+function swatchHtml(color) {
+  return `<span class="swatch" data-color="${escapeHtml(color || "")}"></span>`;
+}
+
+/**
+ * Compile a `tooltip-template` string. Returns `{ columns, render }`, where
+ * `columns` are the referenced column names and `render(getValue, context)`
+ * produces unsanitized markup; `context` is `{ color, cluster }`.
+ */
+export function compileTooltipTemplate(template) {
+  const source = String(template);
+  const columns = new Set();
+
+  for (const match of source.matchAll(PLACEHOLDER_PATTERN)) {
+    const name = match[1].trim();
+    if (name && !name.startsWith("@")) columns.add(name);
+  }
+
+  function render(getValue, context) {
+    return source.replace(PLACEHOLDER_PATTERN, (_, rawName, rawFilters) => {
+      const name = rawName.trim();
+      if (name === "@swatch") return swatchHtml(context.color);
+
+      let value = name === "@cluster" ? context.cluster : getValue(name);
+      let result = { text: valueText(value) };
+
+      for (const step of rawFilters.split("|").slice(1)) {
+        const separator = step.indexOf(":");
+        const filterName = (separator < 0 ? step : step.slice(0, separator)).trim();
+        const argument = separator < 0 ? "" : step.slice(separator + 1);
+        // Own keys only, so `|constructor` and friends are ignored like any unknown filter.
+        if (!Object.hasOwn(FILTERS, filterName)) continue;
+
+        result = FILTERS[filterName](value, argument);
+        if (result.html !== undefined) break;
+        value = result.text;
+      }
+
+      return result.html ?? escapeHtml(result.text);
+    });
+  }
+
+  return { columns: [...columns], render };
+}
+
+/**
+ * Markup for a `tooltip-keys` tooltip: a swatch and cluster header, then one
+ * row per key.
+ */
+export function renderTooltipRows(keys, getValue, context) {
+  const header =
+    context.cluster != null && context.cluster !== ""
+      ? `<div class="tooltip-header">${swatchHtml(context.color)}${escapeHtml(context.cluster)}</div>`
+      : "";
+
+  const rows = keys.map(
+    (key) => `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(truncate(valueText(getValue(key)), 200))}</td></tr>`
+  );
+  return `${header}<table class="tooltip-rows">${rows.join("")}</table>`;
+}
+
+function isAllowedAttribute(tagName, name, value) {
+  if (name === "class" || name === "title") return true;
+  if (tagName === "img") {
+    if (name === "alt") return true;
+    if (name === "src") return isSafeImageUrl(value);
+    if (name === "width" || name === "height") return /^\d{1,4}$/.test(value.trim());
+  }
+  return tagName === "span" && name === "data-color";
+}
+
+function sanitizeChildren(parent) {
+  for (const child of Array.from(parent.childNodes)) {
+    if (child.nodeType === Node.TEXT_NODE) continue;
+    if (child.nodeType !== Node.ELEMENT_NODE) {
+      child.remove();
+      continue;
+    }
+
+    const tagName = child.localName;
+    if (DROPPED_TAGS.has(tagName)) {
+      child.remove();
+      continue;
+    }
+
+    sanitizeChildren(child);
+    if (!ALLOWED_TAGS.has(tagName)) {
+      child.replaceWith(...child.childNodes);
+      continue;
+    }
+
+    for (const attribute of Array.from(child.attributes)) {
+      if (!isAllowedAttribute(tagName, attribute.name, attribute.value)) child.removeAttribute(attribute.name);
+    }
+    if (child.classList.contains("swatch")) {
+      const color = child.getAttribute("data-color") || "";
+      if (HEX_COLOR.test(color)) child.style.background = color;
+      child.removeAttribute("data-color");
+    }
+  }
+}
+
+/**
+ * Parse markup inertly and keep only allowlisted tags and attributes.
+ * Returns a DocumentFragment ready to insert.
+ */
+export function sanitizeTooltipHtml(html) {
+  const template = document.createElement("template");
+  template.innerHTML = html;
+  sanitizeChildren(template.content);
+  return template.content;
+}
@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { columnarFromRecords } from "../src/columnar.js";
+import { ColumnTable, resolveColumnName } from "../src/column-table.js";
+import { buildPoints } from "../src/point-builder.js";
+
+function tableOf(records) {
+  const range = columnarFromRecords(records);
+  const table = new ColumnTable(range.columnNames);
+  table.appendRange(range);
+  return table;
+}
+
+describe("resolveColumnName", () => {
+  it("prefers an exact match, then a case-insensitive one", () => {
+    assert.equal(resolveColumnName(["x", "X"], "X"), "X");
+    assert.equal(resolveColumnName(["x", "Rating"], "rating"), "Rating");
+    assert.equal(resolveColumnName(["x"], "y"), null);
+    assert.equal(resolveColumnName(["x"], ""), null);
+  });
+});
+
+describe("ColumnTable numbers", () => {
+  it("returns a copy with NaN for nulls", () => {
+    const table = tableOf([{ value: 1 }, { value: null }, { value: 3 }]);
+    const numbers = table.numbers("value", Number);
+    assert.deepEqual(Array.from(numbers), [1, Number.NaN, 3]);
+
+    numbers[0] = 42;
+    table.appendRange(columnarFromRecords([{ value: 4 }]));
+    assert.deepEqual(Array.from(numbers), [42, Number.NaN, 3]);
+    assert.deepEqual(Array.from(table.numbers("value", Number)), [1, Number.NaN, 3, 4]);
+  });
+});
+
+describe("buildPoints column names", () => {
+  it("resolves position, cluster, color and size columns case-insensitively", () => {
+    const table = tableOf([
+      { x: 0, y: 0, Cluster_ID: "a", Rating: 1 },
+      { x: 1, y: 1, Cluster_ID: "b", Rating: 5 },
+    ]);
+    const built = buildPoints(table, {
+      xKey: table.resolveLoaded("X"),
+      yKey: table.resolveLoaded("Y"),
+      clusterKey: "cluster_id",
+      labelKey: null,
+      colorBy: "rating",
+      colorType: "auto",
+      colormap: "viridis",
+      colorDomain: "",
+      palette: null,
+      paletteMode: "order",
+      clusterColors: new Map(),
+      noiseClusterId: "",
+      hideNoise: false,
+      hiddenClusters: [],
+      sizeBy: "RATING",
+      sizeScale: "linear",
+      filter: null,
+    });
+
+    assert.equal(built.points.x.length, 2);
+    assert.equal(built.clusterKey, "Cluster_ID");
+    assert.deepEqual(built.clusters.ids, ["a", "b"]);
+    assert.equal(built.color.key, "Rating");
+    assert.equal(built.size.key, "Rating");
+  });
+});
@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { rowsFromColumnarRange } from "../src/columnar.js";
+import { parseDataBuffer } from "../src/data-formats.js";
+
+async function parseText(text, format) {
+  const parsed = await parseDataBuffer(new TextEncoder().encode(text).buffer, format);
+  return { parsed, rows: rowsFromColumnarRange(parsed, parsed.columnNames) };
+}
+
+describe("parseDataBuffer csv", () => {
+  it("reads a header row and infers numeric columns", async () => {
+    const { parsed, rows } = await parseText("x,y,label\n1,2.5,a\n-3,1e3,b\n", "csv");
+    assert.deepEqual(parsed.columnNames, ["x", "y", "label"]);
+    assert.equal(parsed.columns.x.kind, "number");
+    assert.equal(parsed.columns.label.kind, "dictionary");
+    assert.deepEqual(rows, [
+      { x: 1, y: 2.5, label: "a" },
+      { x: -3, y: 1000, label: "b" },
+    ]);
+  });
+
+  it("keeps columns with leading zeros or lossy numbers as text", async () => {
+    const csv = "zip,id,price,count\n01234,12345678901234567890,2.50,1e3\n98765,2,3.25,7\n";
+    const { parsed, rows } = await parseText(csv, "csv");
+    assert.equal(parsed.columns.zip.kind, "dictionary");
+    assert.equal(parsed.columns.id.kind, "dictionary");
+    assert.equal(parsed.columns.price.kind, "number");
+    assert.equal(parsed.columns.count.kind, "number");
+    assert.deepEqual(rows[0], { zip: "01234", id: "12345678901234567890", price: 2.5, count: 1000 });
+    assert.deepEqual(rows[1], { zip: "98765", id: "2", price: 3.25, count: 7 });
+  });
+
+  it("handles quoted fields, escaped quotes and CRLF line endings", async () => {
+    const { rows } = await parseText('id,text\r\n1,"a, ""quoted""\r\nline"\r\n2,plain\r\n', "csv");
+    assert.deepEqual(rows, [
+      { id: 1, text: 'a, "quoted"\r\nline' },
+      { id: 2, text: "plain" },
+    ]);
+  });
+
+  it("detects tab and semicolon delimiters", async () => {
+    assert.deepEqual((await parseText("a\tb\n1\t2\n", "csv")).rows, [{ a: 1, b: 2 }]);
+    assert.deepEqual((await parseText("a;b\n1;x\n", "csv")).rows, [{ a: 1, b: "x" }]);
+  });
+
+  it("reads empty cells as null and names blank or repeated headers", async () => {
+    const { parsed, rows } = await parseText(",a,a\n1,,x\n2,3,\n", "csv");
+    assert.deepEqual(parsed.columnNames, ["column_1", "a", "a_2"]);
+    assert.deepEqual(rows, [
+      { column_1: 1, a: null, a_2: "x" },
+      { column_1: 2, a: 3, a_2: null },
+    ]);
+  });
+
+  it("ignores a byte-order mark and blank lines", async () => {
+    const { parsed, rows } = await parseText("﻿x,y\n1,2\n\n", "csv");
+    assert.deepEqual(parsed.columnNames, ["x", "y"]);
+    assert.deepEqual(rows, [{ x: 1, y: 2 }]);
+  });
+});
+
+describe("parseDataBuffer json", () => {
+  it("reads an array of rows or an object of columns", async () => {
+    const expected = [
+      { x: 1, label: "a" },
+      { x: 2, label: "b" },
+    ];
+    assert.deepEqual((await parseText('[{"x":1,"label":"a"},{"x":2,"label":"b"}]', "json")).rows, expected);
+    assert.deepEqual((await parseText('{"x":[1,2],"label":["a","b"]}', "json")).rows, expected);
+  });
+
+  it("unwraps an object holding a single array of rows", async () => {
+    const { parsed, rows } = await parseText('{"data":[{"x":1},{"x":2}]}', "json");
+    assert.deepEqual(parsed.columnNames, ["x"]);
+    assert.deepEqual(rows, [{ x: 1 }, { x: 2 }]);
+  });
+
+  it("rejects objects that are neither rows nor columns", async () => {
+    await assert.rejects(parseText('{"data":[{"x":1}],"total":1}', "json"), /Expected an array of rows/);
+    await assert.rejects(parseText('{"x":1,"y":2}', "json"), /Expected an array of rows/);
+  });
+});
+
+describe("parseDataBuffer ndjson", () => {
+  it("reads one row object per line and skips blank lines", async () => {
+    const { parsed, rows } = await parseText('{"x":1,"y":2}\n\n{"x":3,"label":"b"}\r\n', "ndjson");
+    assert.deepEqual(parsed.columnNames, ["x", "y", "label"]);
+    assert.deepEqual(rows, [
+      { x: 1, y: 2, label: null },
+      { x: 3, y: null, label: "b" },
+    ]);
+  });
+
+  it("reports the line of invalid JSON", async () => {
+    await assert.rejects(parseText('{"x":1}\n{"x":\n', "ndjson"), /^Error: Line 2:/);
+  });
+});
@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { FilterExpressionError, compileFilterExpression } from "../src/filter-expression.js";
+
+function matches(expression, row) {
+  return compileFilterExpression(expression).predicate(row);
+}
+
+describe("compileFilterExpression", () => {
+  it("compares numbers and strings", () => {
+    assert.equal(matches("rating <= 2", { rating: 2 }), true);
+    assert.equal(matches("rating <= 2", { rating: 3 }), false);
+    assert.equal(matches('country == "DE"', { country: "DE" }), true);
+    assert.equal(matches("country = 'DE'", { country: "FR" }), false);
+    assert.equal(matches("country != 'DE'", { country: "FR" }), true);
+  });
+
+  it("combines clauses with symbols and keywords", () => {
+    const row = { rating: 1, country: "DE", verified: false };
+    assert.equal(matches('rating <= 2 && country == "DE"', row), true);
+    assert.equal(matches("rating > 4 || not verified", row), true);
+    assert.equal(matches("(rating > 4 or country == 'FR') and !verified", row), false);
+  });
+
+  it("supports contains, in and not in", () => {
+    const row = { text: "late delivery again", topic: "billing" };
+    assert.equal(matches('text contains "late delivery"', row), true);
+    assert.equal(matches('topic in ["billing", "refunds"]', row), true);
+    assert.equal(matches('topic not in ["billing"]', row), false);
+  });
+
+  it("matches null literals", () => {
+    assert.equal(matches("label == null", { label: null }), true);
+    assert.equal(matches("label != null", { label: "a" }), true);
+  });
+
+  it("lists every referenced column, including backticked names", () => {
+    const { columns } = compileFilterExpression("`helpful votes` > 10 and (rating < 2 or rating > 4)");
+    assert.deepEqual(columns.sort(), ["helpful votes", "rating"]);
+  });
+
+  it("reports syntax errors with a position", () => {
+    assert.throws(
+      () => compileFilterExpression("rating <= "),
+      (error) => error instanceof FilterExpressionError && Number.isFinite(error.position)
+    );
+    assert.throws(() => compileFilterExpression('country == "DE'), FilterExpressionError);
+  });
+});
@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { JSDOM } from "jsdom";
+import { compileTooltipTemplate, sanitizeTooltipHtml } from "../src/tooltip-template.js";
+
+// The sanitizer parses through a <template> element, so it needs a DOM.
+before(() => {
+  const { window } = new JSDOM("");
+  globalThis.document = window.document;
+  globalThis.Node = window.Node;
+});
+
+function sanitize(html) {
+  const container = document.createElement("div");
+  container.append(sanitizeTooltipHtml(html));
+  return container.innerHTML;
+}
+
+describe("sanitizeTooltipHtml", () => {
+  it("keeps allowlisted tags with class and title", () => {
+    assert.equal(
+      sanitize('<div class="card" title="t"><b>bold</b><ul><li>item</li></ul></div>'),
+      '<div class="card" title="t"><b>bold</b><ul><li>item</li></ul></div>'
+    );
+  });
+
+  it("drops scripts, styles and similar tags together with their content", () => {
+    assert.equal(sanitize("a<script>alert(1)</script><style>p{}</style><svg><text>x</text></svg>b"), "ab");
+  });
+
+  it("unwraps other unknown tags but keeps their text", () => {
+    assert.equal(sanitize('<a href="https://example.com"><blink>text</blink></a>'), "text");
+  });
+
+  it("removes event handlers, styles and other attributes", () => {
+    assert.equal(sanitize('<span onclick="x()" style="color:red" id="s">t</span>'), "<span>t</span>");
+  });
+
+  it("only keeps http(s), relative and raster data image sources", () => {
+    assert.equal(sanitize('<img src="https://example.com/a.png" alt="a">'), '<img src="https://example.com/a.png" alt="a">');
+    assert.equal(sanitize('<img src="thumbs/a.png">'), '<img src="thumbs/a.png">');
+    assert.equal(sanitize('<img src="data:image/png;base64,AAAA">'), '<img src="data:image/png;base64,AAAA">');
+    assert.equal(sanitize('<img src="javascript:alert(1)">'), "<img>");
+    assert.equal(sanitize('<img src="data:image/svg+xml;base64,AAAA">'), "<img>");
+  });
+
+  it("turns swatch colors into a background, only for hex colors", () => {
+    assert.equal(
+      sanitize('<span class="swatch" data-color="#ff0000"></span>'),
+      '<span class="swatch" style="background: rgb(255, 0, 0);"></span>'
+    );
+    assert.equal(sanitize('<span class="swatch" data-color="url(x)"></span>'), '<span class="swatch"></span>');
+  });
+
+  it("drops comments", () => {
+    assert.equal(sanitize("a<!-- note -->b"), "ab");
+  });
+});
+
+describe("compileTooltipTemplate", () => {
+  it("escapes values so they can't add markup", () => {
+    const { columns, render } = compileTooltipTemplate("<b>{title}</b>");
+    assert.deepEqual(columns, ["title"]);
+    const html = render(() => '<img src=x onerror="alert(1)">', {});
+    assert.equal(sanitize(html), "<b>&lt;img src=x onerror=\"alert(1)\"&gt;</b>");
+  });
+});
@@ -11,6 +11,8 @@ export default defineConfig({
     rollupOptions: {
       output: {
         entryFileNames: "rmx-scatterplot.js",
+        // Ship one file: the lazily imported main-thread decoders stay in it.
+        inlineDynamicImports: true,
       },
     },
   },